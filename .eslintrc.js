@@ -22,6 +22,7 @@ module.exports = {
     "globals": {
         "io": "readonly",
         "Chess": "readonly",
+        "createChess960": "readonly",
         "socket": "writable"
     }
 };
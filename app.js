@@ -1,10 +1,26 @@
 const express = require('express');
 const path = require('path');
+const crypto = require('crypto');
 const app = express();
 const http = require('http');
 const server = http.createServer(app);
 const { Server } = require('socket.io');
-const { Chess } = require('chess.js');
+const { validateFen, DEFAULT_POSITION } = require('chess.js');
+const { ChessClock, parseTimeControl, describeTimeControl, getTimeControlCategory, DAY_MS, MAX_DAYS_PER_MOVE, parseDaysPerMove, describeDaysPerMove } = require('./utils/timeControl');
+const { createGameStore } = require('./utils/gameStore');
+const { buildPgn, parsePgn, formatPgnDate, resultToPgn } = require('./utils/pgn');
+const { AccountManager, SESSION_COOKIE, SESSION_TTL_MS, toPublicUser, hashPassword, verifyPassword } = require('./utils/accounts');
+const { rateGame, getUserRating, recordUserRating, isProvisional } = require('./utils/rating');
+const { MatchmakingQueue } = require('./utils/matchmaking');
+const { ENGINE_LEVELS, EngineWorker, getThinkTime, evaluate } = require('./utils/engine');
+const { analyzeGame } = require('./utils/analysis');
+const { InviteSigner, INVITE_ROLES, PGN_SCOPE, generateOwnerKey, generateInviteKey, isValidRoomPassword, safeEqual } = require('./utils/roomAccess');
+const { filterProfanity } = require('./utils/chatFilter');
+const { VARIANTS, isValidVariant, getVariantStartFen, createGame, countChecks, getVariantOutcome } = require('./utils/variants');
+const tournamentRules = require('./utils/tournament');
+const { getUserColor, getCompletedGames, summarizeGame, computeProfileStats, filterGames, paginate } = require('./utils/profile');
+const { lookupPosition, classifyGame } = require('./utils/eco');
+const { EXPLORER_MAX_PLIES, OpeningExplorer } = require('./utils/openingExplorer');
 
 // Performance monitoring
 const PerformanceMonitor = require('./utils/performanceMonitor');
@@ -28,18 +44,58 @@ const io = new Server(server, {
 // Store multiple game rooms
 let gameRooms = {};
 let playerSessions = {}; // Store player sessions for reconnection
+let tournaments = {};
+
+// Persistent storage so rooms survive a restart (GAME_STORE=memory disables it)
+const gameStore = createGameStore({
+    type: process.env.GAME_STORE,
+    directory: process.env.DATA_DIR
+});
+const accounts = new AccountManager(gameStore, process.env.SESSION_SECRET);
+const matchmaking = new MatchmakingQueue();
+const invites = new InviteSigner(accounts.secret);
+const engine = new EngineWorker();
+const explorer = new OpeningExplorer();
+const COMPUTER_PLAYER = 'computer';   // Stands in for a socket id in the computer's seat
+const COMPUTER_DRAW_THRESHOLD = -150; // The computer accepts a draw when at least this far behind (centipawns)
+const COMPUTER_RETRY_DELAY = 1000;    // Wait before searching again after the engine failed
+const MAX_COMPUTER_RETRIES = 3;
+const MAX_CACHED_ANALYSES = 100;
+const SQUARE_PATTERN = /^[a-h][1-8]$/;
+const PROMOTION_PIECES = ['q', 'r', 'b', 'n'];
+const MAX_CHAT_HISTORY = 50;
+const MAX_CHAT_REPORTS = 100;
+const DEFAULT_CHAT_SETTINGS = { players: true, spectators: true };
+const CHAT_SENDER_PATTERN = /^[ug]:[\w-]{1,64}$/;
+const MATCH_RESERVATION_MS = 60000; // Seats of a matched game are held this long for the pair
+const LOBBY_CHANNEL = 'lobby:rooms';  // Socket.IO room for lobby subscribers (room IDs cannot contain ':')
+const LOBBY_UPDATE_INTERVAL = 1000;
+const TOURNAMENT_CHANNEL_PREFIX = 'tournament:'; // Socket.IO room per tournament for live standings
+const MAX_TOURNAMENT_NAME_LENGTH = 60;
+const DEADLINE_CHECK_INTERVAL = 60000;  // How often correspondence move deadlines are checked
 
 app.set('view engine', 'ejs');
 app.use(express.static(path.join(__dirname, 'public')));
+// The game page plays Chess960 with the same rules module as the server
+app.get('/javaScripts/chess960.js', (req, res) => {
+    res.sendFile(path.join(__dirname, 'utils', 'chess960.js'));
+});
 app.use(express.urlencoded({ extended: true }));
 app.use(express.json());
 
+// Attach the logged-in user (if any) to every request and view
+app.use((req, res, next) => {
+    req.user = accounts.getUserFromCookieHeader(req.headers.cookie);
+    res.locals.user = toPublicUser(req.user);
+    next();
+});
+
 app.get('/',(req,res)=>{
     res.render('landing');
 });
 
 app.get('/game',(req,res)=>{
-    const { room, role } = req.query;
+    const { room, role, invite } = req.query;
     if (!room || !role) {
         return res.redirect('/');
     }
@@ -50,13 +106,629 @@ app.get('/game',(req,res)=>{
         return res.redirect('/');
     }
     
-    res.render('index', { room, role });
+    // Invite tokens are only ever base64url segments joined by dots
+    const inviteToken = typeof invite === 'string' && /^[A-Za-z0-9_.-]{1,200}$/.test(invite) ? invite : '';
+    res.render('index', { room, role, invite: inviteToken, replay: '' });
 });
 
 app.get('/home',(req,res)=>{
     res.render('landing');
 });
 
+app.get('/login', (req, res) => {
+    // Only redirect back to pages on this site
+    const { next } = req.query;
+    const isLocalPath = typeof next === 'string' && /^\/(?![/\\])/.test(next);
+    res.render('login', { next: isLocalPath ? next : '/' });
+});
+
+function setSessionCookie(req, res, user) {
+    res.cookie(SESSION_COOKIE, accounts.createSessionToken(user), {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: req.secure,
+        maxAge: SESSION_TTL_MS
+    });
+}
+
+app.post('/api/register', async (req, res) => {
+    if (!checkRateLimit(req.ip, 'register', 5, 600000)) {
+        return res.status(429).json({ error: 'Too many accounts created, please try again later' });
+    }
+    
+    const { username, password } = req.body || {};
+    const { user, error } = await accounts.register(username, password);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    
+    setSessionCookie(req, res, user);
+    console.log(`New account registered: ${user.username}`);
+    res.status(201).json({ user: toPublicUser(user) });
+});
+
+app.post('/api/login', async (req, res) => {
+    if (!checkRateLimit(req.ip, 'login', 10, 300000)) {
+        return res.status(429).json({ error: 'Too many login attempts, please try again later' });
+    }
+    
+    const { username, password } = req.body || {};
+    const user = await accounts.authenticate(username, password);
+    if (!user) {
+        return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    
+    setSessionCookie(req, res, user);
+    res.json({ user: toPublicUser(user) });
+});
+
+app.post('/api/logout', (req, res) => {
+    res.clearCookie(SESSION_COOKIE);
+    res.json({ ok: true });
+});
+
+app.get('/api/me', (req, res) => {
+    res.json({ user: toPublicUser(req.user) });
+});
+
+// Create a room up front so settings such as the time control can be chosen
+app.post('/api/rooms', async (req, res) => {
+    if (!checkRateLimit(req.ip, 'createRoom', 10, 60000)) {
+        return res.status(429).json({ error: 'Too many rooms created, please wait a moment' });
+    }
+    
+    const { roomId, timeControl, daysPerMove, pgn, fen, rated, password, computerLevel, takebacks, variant: requestedVariant = 'standard' } = req.body || {};
+    if (!validateRoomId(roomId)) {
+        return res.status(400).json({ error: 'Invalid room ID format' });
+    }
+    
+    if (gameRooms[roomId]) {
+        return res.status(409).json({ error: 'Room already exists' });
+    }
+    
+    const parsedTimeControl = parseTimeControl(timeControl);
+    if (parsedTimeControl === false) {
+        return res.status(400).json({ error: 'Invalid time control' });
+    }
+    
+    // Correspondence games have a deadline per move instead of a clock
+    const parsedDaysPerMove = parseDaysPerMove(daysPerMove);
+    if (parsedDaysPerMove === false) {
+        return res.status(400).json({ error: `Days per move must be a whole number from 1 to ${MAX_DAYS_PER_MOVE}` });
+    }
+    if (parsedDaysPerMove && parsedTimeControl) {
+        return res.status(400).json({ error: 'Choose either a clock or days per move' });
+    }
+    
+    if (pgn && fen) {
+        return res.status(400).json({ error: 'Provide either a PGN or a starting FEN, not both' });
+    }
+    
+    if (!isValidVariant(requestedVariant)) {
+        return res.status(400).json({ error: 'Unknown variant' });
+    }
+    
+    // Optionally continue or review a game from uploaded PGN; its Variant tag decides the variant
+    let imported = null;
+    if (pgn) {
+        imported = parsePgn(pgn);
+        if (!imported) {
+            return res.status(400).json({ error: 'Invalid PGN' });
+        }
+    }
+    const variant = imported ? imported.variant : requestedVariant;
+    
+    // Optionally start from a custom position (endgame training, puzzles)
+    let customStart = null;
+    if (fen) {
+        customStart = validateStartingFen(fen, variant);
+        if (!customStart) {
+            return res.status(400).json({ error: 'Invalid or unplayable FEN position' });
+        }
+    }
+    
+    // Rated games need accounts, a clock and the standard starting position
+    if (rated) {
+        if (!req.user) {
+            return res.status(401).json({ error: 'Log in to create a rated game' });
+        }
+        if (!parsedTimeControl) {
+            return res.status(400).json({ error: 'Rated games need a time control' });
+        }
+        if (pgn || fen) {
+            return res.status(400).json({ error: 'Rated games must start from the standard position' });
+        }
+        if (variant !== 'standard') {
+            return res.status(400).json({ error: 'Rated games must be standard chess' });
+        }
+        if (parsedDaysPerMove) {
+            return res.status(400).json({ error: 'Correspondence games cannot be rated' });
+        }
+    }
+    
+    // Takebacks are a casual-game courtesy, on unless the creator turns them off
+    if (takebacks && rated) {
+        return res.status(400).json({ error: 'Rated games do not allow takebacks' });
+    }
+    
+    if (computerLevel !== undefined && !ENGINE_LEVELS[computerLevel]) {
+        return res.status(400).json({ error: 'Computer level must be between 1 and 5' });
+    }
+    if (computerLevel && rated) {
+        return res.status(400).json({ error: 'Games against the computer cannot be rated' });
+    }
+    
+    // A password always makes the room private; without one it is invite-only
+    if (password && !isValidRoomPassword(password)) {
+        return res.status(400).json({ error: 'Room password must be 4-64 characters' });
+    }
+    const isPrivate = Boolean(req.body.private || password);
+    const passwordHash = password ? await hashPassword(password) : null;
+    
+    // The room may have been created while the password was hashing
+    if (gameRooms[roomId]) {
+        return res.status(409).json({ error: 'Room already exists' });
+    }
+    
+    // Without an imported game or custom position, Chess960 draws a new starting position
+    let startChess = (imported && imported.chess) || customStart;
+    if (!startChess && variant !== 'standard') {
+        startChess = createGame(variant, getVariantStartFen(variant));
+    }
+    
+    // An imported game tagged "*" may still have ended on the board: mate,
+    // stalemate or a variant win leave nothing to play, so the room starts finished
+    let importedResult = imported && imported.result;
+    if (imported && !importedResult) {
+        const outcome = getVariantOutcome(variant, imported.chess, imported.moveHistory) || getGameOverOutcome(imported.chess);
+        if (outcome) {
+            importedResult = { ...outcome, score: resultToPgn(outcome), endedAt: Date.now() };
+        }
+    }
+    
+    const ownerKey = generateOwnerKey();
+    getOrCreateRoom(roomId, {
+        variant,
+        timeControl: parsedTimeControl,
+        daysPerMove: parsedDaysPerMove,
+        rated: Boolean(rated),
+        takebacks: takebacks === undefined ? undefined : Boolean(takebacks),
+        private: isPrivate,
+        passwordHash,
+        ownerId: req.user ? req.user.id : null,
+        ownerKey,
+        chess: startChess,
+        startFen: imported ? imported.headers.FEN : startChess && startChess.fen(),
+        moveHistory: imported && imported.moveHistory,
+        result: importedResult
+    });
+    if (computerLevel) {
+        addComputerPlayer(roomId, gameRooms[roomId], Number(computerLevel), 'black');
+    }
+    persistRoom(roomId);
+    res.status(201).json({
+        roomId,
+        variant,
+        timeControl: describeRoomTimeControl(gameRooms[roomId]),
+        daysPerMove: parsedDaysPerMove,
+        rated: Boolean(rated),
+        takebacks: gameRooms[roomId].takebacks,
+        private: isPrivate,
+        ownerKey
+    });
+});
+
+// Public lobby: rooms waiting for an opponent and games in progress
+app.get('/api/rooms', (req, res) => {
+    res.json({ rooms: getLobbyRooms() });
+});
+
+// Rating history for every time-control category a user has played rated games in
+app.get('/api/users/:username/ratings', (req, res) => {
+    const user = accounts.findByUsername(req.params.username);
+    if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+    res.json({ username: user.username, ratings: getPublicRatings(user, { history: true }) });
+});
+
+// Profile page: ratings, results and the user's game archive
+app.get('/u/:name', (req, res) => {
+    const user = accounts.findByUsername(req.params.name);
+    if (!user) {
+        return res.status(404).send('User not found');
+    }
+    res.render('profile', { profileName: user.username });
+});
+
+app.get('/api/users/:username/profile', (req, res) => {
+    const user = accounts.findByUsername(req.params.username);
+    if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+    
+    res.json({
+        username: user.username,
+        joinedAt: user.createdAt,
+        ratings: getPublicRatings(user),
+        stats: computeProfileStats(getProfileGames(user, req.user))
+    });
+});
+
+// One page of the user's finished games, newest first.
+// Query: q (text search), color (white|black), outcome (win|draw|loss), page
+app.get('/api/users/:username/games', (req, res) => {
+    const user = accounts.findByUsername(req.params.username);
+    if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const { q, color, outcome, page } = req.query;
+    const games = filterGames(getProfileGames(user, req.user), {
+        query: q,
+        color: ['white', 'black'].includes(color) ? color : null,
+        outcome: ['win', 'draw', 'loss'].includes(outcome) ? outcome : null
+    });
+    res.json(paginate(games, page));
+});
+
+// Replay an archived game on the normal game board
+app.get('/games/:gameId', (req, res) => {
+    const record = findArchivedGame(req.params.gameId);
+    if (!record || !canViewArchivedGame(record, req.user)) {
+        return res.status(404).send('Game not found');
+    }
+    res.render('index', { room: record.roomId, role: 'spectator', invite: '', replay: record.gameId });
+});
+
+app.get('/api/games/:gameId', (req, res) => {
+    const record = findArchivedGame(req.params.gameId);
+    if (!record || !canViewArchivedGame(record, req.user)) {
+        return res.status(404).json({ error: 'Game not found' });
+    }
+    res.json({ game: getArchivedGameView(record) });
+});
+
+app.get('/games/:gameId/pgn', (req, res) => {
+    const record = findArchivedGame(req.params.gameId);
+    if (!record || !canViewArchivedGame(record, req.user)) {
+        return res.status(404).send('Game not found');
+    }
+    
+    const pgn = buildPgn(record, { site: `${req.protocol}://${req.get('host')}` });
+    res.type('application/x-chess-pgn');
+    res.attachment(`${record.roomId}-${formatPgnDate(record.createdAt || Date.now())}.pgn`);
+    res.send(pgn);
+});
+
+// The logged-in user's unfinished correspondence games, those waiting on their move first
+app.get('/api/correspondence', (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Log in to see your correspondence games' });
+    }
+    
+    const games = [];
+    Object.entries(gameRooms).forEach(([roomId, room]) => {
+        if (!room.daysPerMove || room.result) return;
+        
+        const names = getPlayerNames(room);
+        ['white', 'black'].forEach(role => {
+            if (room.accounts[role] !== req.user.id) return;
+            
+            const opponent = role === 'white' ? 'black' : 'white';
+            games.push({
+                roomId,
+                role,
+                opponent: names[opponent],
+                status: room.status,
+                yourTurn: room.status === 'active' && room.chess.turn() === role.charAt(0),
+                moveDeadline: room.moveDeadline,
+                moves: room.moveHistory.length,
+                daysPerMove: room.daysPerMove
+            });
+        });
+    });
+    
+    games.sort((a, b) => (b.yourTurn - a.yourTurn) || ((a.moveDeadline || Infinity) - (b.moveDeadline || Infinity)));
+    res.json({ games });
+});
+
+// Tournament pages: the list with a create form, and one event's standings and pairings
+app.get('/tournaments', (req, res) => {
+    res.render('tournament', { tournamentId: null });
+});
+
+app.get('/tournaments/:id', (req, res) => {
+    if (!tournaments[req.params.id]) {
+        return res.status(404).send('Tournament not found');
+    }
+    res.render('tournament', { tournamentId: req.params.id });
+});
+
+app.get('/api/tournaments', (req, res) => {
+    const list = Object.values(tournaments)
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .map(getTournamentSummary);
+    res.json({ tournaments: list });
+});
+
+app.post('/api/tournaments', (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Log in to organise a tournament' });
+    }
+    if (!checkRateLimit(req.ip, 'createTournament', 5, 600000)) {
+        return res.status(429).json({ error: 'Too many tournaments created, please try again later' });
+    }
+    
+    const { name, format, rounds, timeControl, rated, variant = 'standard' } = req.body || {};
+    const trimmedName = typeof name === 'string' ? name.trim() : '';
+    if (!trimmedName || trimmedName.length > MAX_TOURNAMENT_NAME_LENGTH) {
+        return res.status(400).json({ error: `Tournament name must be 1-${MAX_TOURNAMENT_NAME_LENGTH} characters` });
+    }
+    if (!tournamentRules.TOURNAMENT_FORMATS[format]) {
+        return res.status(400).json({ error: 'Format must be roundRobin or swiss' });
+    }
+    
+    const roundCount = Number(rounds);
+    if (format === 'swiss' && !(Number.isInteger(roundCount) && roundCount >= 1 && roundCount <= tournamentRules.MAX_SWISS_ROUNDS)) {
+        return res.status(400).json({ error: `A Swiss event needs 1-${tournamentRules.MAX_SWISS_ROUNDS} rounds` });
+    }
+    
+    const parsedTimeControl = parseTimeControl(timeControl);
+    if (parsedTimeControl === false) {
+        return res.status(400).json({ error: 'Invalid time control' });
+    }
+    if (!isValidVariant(variant)) {
+        return res.status(400).json({ error: 'Unknown variant' });
+    }
+    if (rated && !parsedTimeControl) {
+        return res.status(400).json({ error: 'Rated games need a time control' });
+    }
+    if (rated && variant !== 'standard') {
+        return res.status(400).json({ error: 'Rated games must be standard chess' });
+    }
+    
+    const tournament = tournamentRules.createTournament({
+        id: generateTournamentId(),
+        name: trimmedName,
+        format,
+        roundCount,
+        timeControl: parsedTimeControl,
+        rated: Boolean(rated),
+        variant,
+        organizerId: req.user.id
+    });
+    tournaments[tournament.id] = tournament;
+    gameStore.saveTournament(tournament);
+    
+    console.log(`Tournament ${tournament.id} created by ${req.user.username}`);
+    res.status(201).json({ tournament: getTournamentView(tournament) });
+});
+
+app.get('/api/tournaments/:id', (req, res) => {
+    const tournament = tournaments[req.params.id];
+    if (!tournament) {
+        return res.status(404).json({ error: 'Tournament not found' });
+    }
+    res.json({ tournament: getTournamentView(tournament) });
+});
+
+app.post('/api/tournaments/:id/join', (req, res) => {
+    const tournament = tournaments[req.params.id];
+    if (!tournament) {
+        return res.status(404).json({ error: 'Tournament not found' });
+    }
+    if (!req.user) {
+        return res.status(401).json({ error: 'Log in to join a tournament' });
+    }
+    if (tournament.status !== 'registering') {
+        return res.status(409).json({ error: 'Registration is closed' });
+    }
+    if (tournament.players.some(player => player.userId === req.user.id)) {
+        return res.status(409).json({ error: 'You are already registered' });
+    }
+    if (tournament.players.length >= tournamentRules.MAX_PLAYERS) {
+        return res.status(409).json({ error: 'The tournament is full' });
+    }
+    
+    const rating = getUserRating(req.user, getTimeControlCategory(tournament.timeControl));
+    tournament.players.push({ userId: req.user.id, username: req.user.username, rating: Math.round(rating.rating) });
+    saveTournament(tournament);
+    res.json({ tournament: getTournamentView(tournament) });
+});
+
+app.post('/api/tournaments/:id/leave', (req, res) => {
+    const tournament = tournaments[req.params.id];
+    if (!tournament) {
+        return res.status(404).json({ error: 'Tournament not found' });
+    }
+    if (!req.user) {
+        return res.status(401).json({ error: 'Log in to leave a tournament' });
+    }
+    if (tournament.status !== 'registering') {
+        return res.status(409).json({ error: 'The tournament has already started' });
+    }
+    
+    tournament.players = tournament.players.filter(player => player.userId !== req.user.id);
+    saveTournament(tournament);
+    res.json({ tournament: getTournamentView(tournament) });
+});
+
+// Close registration and pair the first round (organiser only)
+app.post('/api/tournaments/:id/start', (req, res) => {
+    const tournament = tournaments[req.params.id];
+    if (!tournament) {
+        return res.status(404).json({ error: 'Tournament not found' });
+    }
+    if (!req.user || req.user.id !== tournament.organizerId) {
+        return res.status(403).json({ error: 'Only the organiser can start the tournament' });
+    }
+    if (tournament.status !== 'registering') {
+        return res.status(409).json({ error: 'The tournament has already started' });
+    }
+    if (tournament.players.length < tournamentRules.MIN_PLAYERS) {
+        return res.status(400).json({ error: `At least ${tournamentRules.MIN_PLAYERS} players are needed` });
+    }
+    if (tournament.format === 'swiss' && tournament.roundCount >= tournament.players.length) {
+        return res.status(400).json({ error: 'A Swiss event needs more players than rounds' });
+    }
+    
+    tournament.status = 'running';
+    tournament.startedAt = Date.now();
+    startTournamentRound(tournament);
+    
+    console.log(`Tournament ${tournament.id} started with ${tournament.players.length} players`);
+    res.json({ tournament: getTournamentView(tournament) });
+});
+
+// Set the result of a game in the current round, e.g. when a player does not
+// turn up (organiser only). A game still being played is ended by adjudication.
+app.post('/api/tournaments/:id/results', (req, res) => {
+    const tournament = tournaments[req.params.id];
+    if (!tournament) {
+        return res.status(404).json({ error: 'Tournament not found' });
+    }
+    if (!req.user || req.user.id !== tournament.organizerId) {
+        return res.status(403).json({ error: 'Only the organiser can set results' });
+    }
+    
+    const { board, result } = req.body || {};
+    const round = tournament.status === 'running' ? tournamentRules.getCurrentRound(tournament) : null;
+    const pairing = round && round.pairings.find(entry => entry.board === Number(board));
+    if (!pairing) {
+        return res.status(404).json({ error: 'No such board in the current round' });
+    }
+    if (pairing.result !== null) {
+        return res.status(409).json({ error: 'This game already has a result' });
+    }
+    if (!tournamentRules.TOURNAMENT_RESULTS.includes(result)) {
+        return res.status(400).json({ error: 'Result must be 1-0, 0-1 or 1/2-1/2' });
+    }
+    
+    const room = gameRooms[pairing.roomId];
+    if (room && room.status !== 'finished') {
+        const winner = result === '1-0' ? 'white' : result === '0-1' ? 'black' : null;
+        endGame(pairing.roomId, room, { type: 'adjudication', winner, message: 'Result set by the tournament organiser' });
+    } else {
+        recordTournamentGame({ id: tournament.id, round: round.number, board: pairing.board }, result);
+    }
+    res.json({ tournament: getTournamentView(tournament) });
+});
+
+// Download the game in a room as PGN, falling back to the latest archived game
+app.get('/game/:room/pgn', (req, res) => {
+    const roomId = req.params.room;
+    const room = gameRooms[roomId];
+    const record = room
+        ? serializeRoom(roomId, room)
+        : gameStore.getLatestArchivedGame(roomId);
+    
+    const allowed = room ? canDownloadRoomPgn(roomId, room, req) : record && canViewArchivedGame(record, req.user);
+    if (!record || !allowed) {
+        return res.status(404).send('Game not found');
+    }
+    
+    const pgn = buildPgn(record, { site: `${req.protocol}://${req.get('host')}` });
+    res.type('application/x-chess-pgn');
+    res.attachment(`${roomId}-${formatPgnDate(record.createdAt || Date.now())}.pgn`);
+    res.send(pgn);
+});
+
+// Private rooms only give out their game to the owner, the seated accounts and
+// whoever the room let in: they get a download-only PGN token with the room state
+function canDownloadRoomPgn(roomId, room, req) {
+    if (!room.private) return true;
+    
+    const userId = req.user ? req.user.id : null;
+    if (room.bans.some(ban => (ban.userId && ban.userId === userId) || (ban.ip && ban.ip === req.ip))) {
+        return false;
+    }
+    if (userId && [room.ownerId, room.accounts.white, room.accounts.black].includes(userId)) {
+        return true;
+    }
+    return invites.verify(req.query.invite, roomId, room.inviteKey) === PGN_SCOPE;
+}
+
+// Post-game analysis of the room's latest finished game
+app.get('/game/:room/analysis', (req, res) => {
+    const record = gameStore.getLatestArchivedGame(req.params.room);
+    if (!record || !canViewArchivedGame(record, req.user)) {
+        return res.status(404).send('No finished game to analyse in this room');
+    }
+    res.redirect(`/analysis/${encodeURIComponent(record.gameId)}`);
+});
+
+app.get('/analysis/:gameId', (req, res) => {
+    const record = findArchivedGame(req.params.gameId);
+    if (!record || !canViewArchivedGame(record, req.user)) {
+        return res.status(404).send('Game not found');
+    }
+    
+    res.render('analysis', {
+        gameId: record.gameId,
+        roomId: record.roomId,
+        names: record.playerNames || { white: null, black: null },
+        result: record.result
+    });
+});
+
+// Analysis is computed in the background; poll until status is 'done'
+app.get('/api/analysis/:gameId', (req, res) => {
+    const record = findArchivedGame(req.params.gameId);
+    if (!record || !canViewArchivedGame(record, req.user)) {
+        return res.status(404).json({ error: 'Game not found' });
+    }
+    
+    let job = analysisJobs.get(record.gameId);
+    if (!job) {
+        if (!checkRateLimit(req.ip, 'analysis', 5, 60000)) {
+            return res.status(429).json({ error: 'Too many analysis requests, please wait a moment' });
+        }
+        job = startAnalysis(record);
+    }
+    
+    if (job.status === 'done') {
+        return res.json({ status: 'done', analysis: job.analysis });
+    }
+    if (job.status === 'failed') {
+        analysisJobs.delete(record.gameId); // Let the next request try again
+        return res.status(500).json({ status: 'failed', error: 'Analysis failed' });
+    }
+    res.status(202).json({ status: job.status, progress: job.progress });
+});
+
+// Opening explorer: moves played from a position in the finished standard games on this server
+app.get('/explorer', (req, res) => {
+    const fen = getExplorerFen(req.query.fen);
+    if (!fen) {
+        return res.status(400).send('Invalid FEN');
+    }
+    res.render('explorer', { fen, maxPlies: EXPLORER_MAX_PLIES });
+});
+
+app.get('/api/explorer', (req, res) => {
+    const fen = getExplorerFen(req.query.fen);
+    if (!fen) {
+        return res.status(400).json({ error: 'Invalid FEN' });
+    }
+    
+    res.json({ fen, opening: lookupPosition(fen), ...explorer.getPosition(fen) });
+});
+
+// The explorer's position from a query string; the start position when none
+// is given and null when the FEN is not valid
+function getExplorerFen(fen) {
+    if (fen === undefined || fen === '') {
+        return DEFAULT_POSITION;
+    }
+    if (typeof fen !== 'string' || fen.length > 100) {
+        return null;
+    }
+    
+    const trimmed = fen.trim().replace(/\s+/g, ' ');
+    return validateFen(trimmed).ok ? trimmed : null;
+}
+
 // Handle favicon request to prevent 404 errors
 app.get('/favicon.ico', (req, res) => {
     res.status(204).send(); // No content response
@@ -91,6 +763,41 @@ function validateRoomId(roomId) {
     return roomPattern.test(roomId.toUpperCase());
 }
 
+// Helper function to validate a custom starting position.
+// Returns a game set up from the FEN, or null if it cannot be played.
+// Chess960 FENs may name castling rooks by file, which chess.js does not accept.
+function validateStartingFen(fen, variant = 'standard') {
+    if (!fen || typeof fen !== 'string' || fen.length > 100) {
+        return null;
+    }
+    
+    const trimmed = fen.trim().replace(/\s+/g, ' ');
+    if (variant !== 'chess960' && !validateFen(trimmed).ok) {
+        return null;
+    }
+    
+    let chess;
+    try {
+        chess = createGame(variant, trimmed);
+    } catch (error) {
+        return null;
+    }
+    
+    // The side that just "moved" must not be left in check
+    const opponent = chess.turn() === 'w' ? 'b' : 'w';
+    const [opponentKing] = chess.findPiece({ type: 'k', color: opponent });
+    if (!opponentKing || chess.isAttacked(opponentKing, chess.turn())) {
+        return null;
+    }
+    
+    // Nothing to play from a finished position
+    if (chess.isGameOver()) {
+        return null;
+    }
+    
+    return chess;
+}
+
 // Rate limiting storage (simple in-memory)
 const rateLimits = new Map();
 
@@ -131,15 +838,49 @@ setInterval(() => {
 }, 600000); // Run every 10 minutes
 
 // Helper functions for room management
-function getOrCreateRoom(roomId) {
+function getOrCreateRoom(roomId, options = {}) {
     if (!gameRooms[roomId]) {
+        const timeControl = options.timeControl || null;
+        const variant = options.variant || 'standard';
+        const chess = options.chess || createGame(variant);
         gameRooms[roomId] = {
-            chess: new Chess(),
+            chess: chess,
+            variant: variant,
             players: {},
-            currentPlayer: 'w',
+            currentPlayer: chess.turn(),
             spectators: [],
-            moveHistory: [],
+            moveHistory: options.moveHistory || [],
+            opening: classifyGame({ variant, startFen: options.startFen, moveHistory: options.moveHistory }),
             chatHistory: [],
+            spectatorChatHistory: [],
+            chatSettings: { ...DEFAULT_CHAT_SETTINGS },
+            chatMutes: [],
+            chatReports: [],
+            startFen: options.startFen || DEFAULT_POSITION,
+            accounts: {},
+            status: options.result ? 'finished' : 'waiting',
+            drawOffer: null,
+            takebackOffer: null,
+            rematchOffer: null,
+            match: { games: 0, points: {} },
+            timeControl: timeControl,
+            daysPerMove: options.daysPerMove || null,
+            moveDeadline: null,
+            rated: options.rated || false,
+            takebacks: options.takebacks !== undefined ? options.takebacks : !options.rated,
+            computer: null,
+            private: options.private || false,
+            passwordHash: options.passwordHash || null,
+            ownerId: options.ownerId || null,
+            ownerKey: options.ownerKey || null,
+            inviteKey: generateInviteKey(),
+            bans: [],
+            tournament: options.tournament || null,
+            clock: timeControl ? new ChessClock(timeControl) : null,
+            flagTimer: null,
+            gameId: generateGameId(roomId),
+            sessions: {},
+            result: options.result || null,
             createdAt: Date.now(),
             lastActivity: Date.now()
         };
@@ -148,35 +889,1136 @@ function getOrCreateRoom(roomId) {
     return gameRooms[roomId];
 }
 
-// Cleanup inactive rooms periodically to prevent memory leaks
-setInterval(() => {
-    const now = Date.now();
-    const inactivityThreshold = 3600000; // 1 hour
-    
-    for (const roomId in gameRooms) {
-        const room = gameRooms[roomId];
-        if (now - room.lastActivity > inactivityThreshold) {
-            console.log(`Cleaning up inactive room: ${roomId}`);
-            delete gameRooms[roomId];
-        }
-    }
-}, 1800000); // Run every 30 minutes
-
-// Cleanup old player sessions
-setInterval(() => {
-    const now = Date.now();
-    for (const sessionId in playerSessions) {
-        const session = playerSessions[sessionId];
-        if (!gameRooms[session.roomId]) {
-            delete playerSessions[sessionId];
-        }
-    }
-}, 1800000); // Run every 30 minutes
+function generateGameId(roomId) {
+    return `${roomId}-${Date.now().toString(36)}${Math.random().toString(36).substring(2, 6)}`;
+}
 
-function generateSessionId() {
-    return Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
+// Plain JSON snapshot of a room for the game store
+function serializeRoom(roomId, room) {
+    return {
+        roomId,
+        gameId: room.gameId,
+        variant: room.variant,
+        pgn: room.chess.pgn(),
+        fen: room.chess.fen(),
+        startFen: room.startFen,
+        moveHistory: room.moveHistory,
+        opening: room.opening,
+        chatHistory: room.chatHistory || [],
+        spectatorChatHistory: room.spectatorChatHistory,
+        chatSettings: room.chatSettings,
+        chatMutes: room.chatMutes,
+        chatReports: room.chatReports,
+        sessions: room.sessions,
+        accounts: room.accounts,
+        playerNames: getPlayerNames(room),
+        status: room.status,
+        result: room.result,
+        match: room.match,
+        timeControl: room.timeControl,
+        daysPerMove: room.daysPerMove,
+        moveDeadline: room.moveDeadline,
+        rated: room.rated,
+        takebacks: room.takebacks,
+        computer: room.computer && { color: room.computer.color, level: room.computer.level },
+        private: room.private,
+        passwordHash: room.passwordHash,
+        ownerId: room.ownerId,
+        ownerKey: room.ownerKey,
+        inviteKey: room.inviteKey,
+        bans: room.bans,
+        tournament: room.tournament,
+        clock: room.clock ? room.clock.serialize() : null,
+        createdAt: room.createdAt,
+        lastActivity: room.lastActivity
+    };
 }
 
+// Rebuild a room from its stored snapshot. Seats start empty and are
+// reclaimed by players through the reconnect flow.
+function restoreRoom(record) {
+    const variant = record.variant || 'standard';
+    const chess = createGame(variant);
+    try {
+        chess.loadPgn(record.pgn);
+    } catch (error) {
+        chess.load(record.fen);
+    }
+    
+    // The computer never disconnects, so its seat is filled straight away
+    const computer = record.computer ? { color: record.computer.color, level: record.computer.level } : null;
+    
+    return {
+        chess,
+        variant,
+        players: computer ? { [computer.color]: COMPUTER_PLAYER } : {},
+        currentPlayer: chess.turn(),
+        spectators: [],
+        moveHistory: record.moveHistory || [],
+        opening: record.opening || classifyGame(record),
+        chatHistory: record.chatHistory || [],
+        spectatorChatHistory: record.spectatorChatHistory || [],
+        chatSettings: { ...DEFAULT_CHAT_SETTINGS, ...record.chatSettings },
+        chatMutes: record.chatMutes || [],
+        chatReports: record.chatReports || [],
+        startFen: record.startFen || DEFAULT_POSITION,
+        status: record.status || (record.result ? 'finished' : 'active'),
+        drawOffer: null,
+        takebackOffer: null,
+        rematchOffer: null,
+        match: record.match || { games: 0, points: {} },
+        timeControl: record.timeControl || null,
+        daysPerMove: record.daysPerMove || null,
+        moveDeadline: record.moveDeadline || null,
+        rated: record.rated || false,
+        takebacks: record.takebacks !== undefined ? record.takebacks : !record.rated,
+        computer,
+        private: record.private || false,
+        passwordHash: record.passwordHash || null,
+        ownerId: record.ownerId || null,
+        ownerKey: record.ownerKey || null,
+        inviteKey: record.inviteKey || generateInviteKey(),
+        bans: record.bans || [],
+        tournament: record.tournament || null,
+        clock: record.clock ? ChessClock.restore(record.clock) : null,
+        flagTimer: null,
+        gameId: record.gameId || generateGameId(record.roomId),
+        sessions: record.sessions || {},
+        accounts: record.accounts || {},
+        result: record.result || null,
+        createdAt: record.createdAt || Date.now(),
+        lastActivity: Date.now()
+    };
+}
+
+function persistRoom(roomId) {
+    if (gameRooms[roomId]) {
+        gameStore.saveRoom(roomId, serializeRoom(roomId, gameRooms[roomId]));
+    }
+}
+
+// Clock label such as "5+3 Blitz", or the days per move of a correspondence game
+function describeRoomTimeControl(room) {
+    return room.daysPerMove ? describeDaysPerMove(room.daysPerMove) : describeTimeControl(room.timeControl);
+}
+
+// Room lifecycle: waiting (for both players) -> active -> finished
+function getGameStatus(room) {
+    return { status: room.status, result: room.result };
+}
+
+// A correspondence seat stays taken by its account while the player is away
+function isSeatTaken(room, role) {
+    return Boolean(room.players[role] || (room.daysPerMove && room.accounts[role]));
+}
+
+// Start the game once both seats have been filled
+function activateIfReady(roomId, room) {
+    if (room.status === 'waiting' && isSeatTaken(room, 'white') && isSeatTaken(room, 'black')) {
+        room.status = 'active';
+        io.to(roomId).emit('gameStatus', getGameStatus(room));
+        resetMoveDeadline(roomId, room);
+        console.log(`Game started in room ${roomId}`);
+        scheduleComputerMove(roomId, room);
+    }
+}
+
+// Give the side to move a fresh correspondence deadline (none once the game is over)
+function resetMoveDeadline(roomId, room) {
+    if (!room.daysPerMove) return;
+    
+    room.moveDeadline = room.status === 'active' ? Date.now() + room.daysPerMove * DAY_MS : null;
+    io.to(roomId).emit('moveDeadline', room.moveDeadline);
+}
+
+// Work out whether the last move ended the game (chess.js v1 API)
+function getGameOverOutcome(chess) {
+    if (!chess.isGameOver()) return null;
+    
+    if (chess.isCheckmate()) {
+        return { type: 'checkmate', winner: chess.turn() === 'w' ? 'black' : 'white' };
+    }
+    if (chess.isStalemate()) {
+        return { type: 'stalemate', winner: null };
+    }
+    if (chess.isThreefoldRepetition()) {
+        return { type: 'threefold', winner: null };
+    }
+    if (chess.isInsufficientMaterial()) {
+        return { type: 'insufficient', winner: null };
+    }
+    if (chess.isDrawByFiftyMoves()) {
+        return { type: 'fifty_move', winner: null };
+    }
+    return { type: 'draw', winner: null };
+}
+
+// Number of plies to undo so that `color` is back on move before their last
+// move: just that move, or also the opponent's reply. 0 when there is none.
+function getTakebackPlies(room, color) {
+    const plies = room.chess.turn() === color[0] ? 2 : 1;
+    return room.chess.history().length >= plies ? plies : 0;
+}
+
+// Undo moves after an accepted takeback and resync everyone in the room
+function takeBackMoves(roomId, room, plies) {
+    for (let i = 0; i < plies; i++) {
+        room.chess.undo();
+    }
+    room.moveHistory.splice(-plies, plies);
+    room.currentPlayer = room.chess.turn();
+    room.drawOffer = null;
+    room.takebackOffer = null;
+    
+    if (room.clock) {
+        if (room.moveHistory.length === 0) {
+            room.clock.stop(); // Back to the start: the clock waits for White's first move again
+        } else {
+            room.clock.switchTo(room.chess.turn());
+        }
+        scheduleFlagCheck(roomId, room);
+        io.to(roomId).emit('clockUpdate', room.clock.toJSON());
+    }
+    resetMoveDeadline(roomId, room);
+    
+    io.to(roomId).emit('takebackAccepted', { plies });
+    io.to(roomId).emit('boardState', room.chess.fen());
+    io.to(roomId).emit('moveHistory', room.moveHistory);
+    updateOpening(roomId, room);
+    persistRoom(roomId);
+    scheduleLobbyUpdate();
+}
+
+// Re-name the opening after the moves changed; the room only hears about a new name
+function updateOpening(roomId, room) {
+    const opening = classifyGame(room);
+    const changed = JSON.stringify(opening) !== JSON.stringify(room.opening);
+    room.opening = opening;
+    if (changed) {
+        io.to(roomId).emit('opening', opening);
+    }
+}
+
+// A move from a client: { from, to, promotion? }. Returns a clean copy, or null
+// when the payload is malformed. Legality is left to chess.js, which rejects a
+// pawn reaching the last rank without a promotion piece.
+function parseMovePayload(move) {
+    if (!move || typeof move !== 'object') return null;
+    
+    const { from, to, promotion } = move;
+    if (!SQUARE_PATTERN.test(from) || !SQUARE_PATTERN.test(to)) return null;
+    if (promotion === undefined || promotion === null) return { from, to };
+    
+    return PROMOTION_PIECES.includes(promotion) ? { from, to, promotion } : null;
+}
+
+// Play a legal move for the side to move and tell the room. Shared by human
+// players and the computer opponent; callers check turn, status and clock first.
+// Throws (chess.js) or returns null when the move is illegal.
+function applyMove(roomId, room, move) {
+    const chess = room.chess;
+    const result = chess.move(move);
+    if (!result) return null;
+    
+    // Add move to history; time spent runs from the previous move (unknown for the first)
+    const now = Date.now();
+    const previous = room.moveHistory[room.moveHistory.length - 1];
+    room.moveHistory.push({
+        move: result.san,
+        color: result.color,
+        timestamp: new Date(now).toISOString(),
+        timeSpent: previous && previous.timestamp ? now - Date.parse(previous.timestamp) : null
+    });
+    
+    room.currentPlayer = chess.turn();
+    room.drawOffer = null; // Pending draw and takeback offers lapse once a move is made
+    room.takebackOffer = null;
+    
+    if (room.clock) {
+        room.clock.press(result.color);
+        scheduleFlagCheck(roomId, room);
+        io.to(roomId).emit('clockUpdate', room.clock.toJSON());
+    }
+    resetMoveDeadline(roomId, room);
+    
+    io.to(roomId).emit('move', move);
+    io.to(roomId).emit('boardState', chess.fen());
+    io.to(roomId).emit('moveHistory', room.moveHistory);
+    updateOpening(roomId, room);
+    persistRoom(roomId);
+    scheduleLobbyUpdate();
+    
+    // Check for game end conditions; a variant win comes before the normal endings
+    const outcome = getVariantOutcome(room.variant, chess, room.moveHistory) || getGameOverOutcome(chess);
+    if (outcome) {
+        endGame(roomId, room, outcome);
+    } else {
+        scheduleComputerMove(roomId, room);
+    }
+    return result;
+}
+
+// Let the computer think when it is its turn in an active game. The search runs
+// in the engine worker; its answer is dropped if the game moved on meanwhile
+// (resignation, draw, rematch).
+function scheduleComputerMove(roomId, room) {
+    const computer = room.computer;
+    if (!computer || computer.thinking || room.status !== 'active') return;
+    if (room.chess.turn() !== computer.color[0]) return;
+    
+    const fen = room.chess.fen();
+    const gameId = room.gameId;
+    const color = room.chess.turn();
+    const clock = room.clock && {
+        timeLeft: room.clock.timeLeft(color),
+        increment: room.clock.increment,
+        delay: room.clock.delay
+    };
+    
+    computer.thinking = true;
+    const options = {
+        level: computer.level,
+        timeLimitMs: getThinkTime(computer.level, clock),
+        variant: room.variant,
+        checks: countChecks(room.moveHistory)
+    };
+    engine.findMove(fen, options)
+        .then(move => {
+            computer.thinking = false;
+            computer.failures = 0;
+            if (gameRooms[roomId] !== room) return;
+            
+            // The position changed while thinking (takeback, rematch): start over
+            if (room.gameId !== gameId || room.chess.fen() !== fen) {
+                scheduleComputerMove(roomId, room);
+                return;
+            }
+            if (!move || room.status !== 'active') return;
+            
+            if (room.clock && room.clock.isFlagged(color)) {
+                handleFlagFall(roomId, room, color);
+                return;
+            }
+            applyMove(roomId, room, move);
+        })
+        .catch(error => {
+            computer.thinking = false;
+            console.error(`Computer move failed in room ${roomId}:`, error.message);
+            
+            // A crashed engine worker is replaced on the next request, so try again a few times
+            computer.failures = (computer.failures || 0) + 1;
+            if (computer.failures > MAX_COMPUTER_RETRIES) {
+                io.to(roomId).emit('computerError', 'The computer could not find a move');
+                return;
+            }
+            setTimeout(() => {
+                if (gameRooms[roomId] === room) {
+                    scheduleComputerMove(roomId, room);
+                }
+            }, COMPUTER_RETRY_DELAY);
+        });
+}
+
+// Seat the computer in the empty seat of a room
+function addComputerPlayer(roomId, room, level, color = room.players.white ? 'black' : 'white') {
+    // Any reconnect session left on the seat must not be able to reclaim it
+    delete playerSessions[room.sessions[color]];
+    delete room.sessions[color];
+    gameStore.saveSessions(playerSessions);
+    
+    room.players[color] = COMPUTER_PLAYER;
+    room.accounts[color] = null;
+    room.computer = { color, level };
+    
+    emitPlayersUpdate(roomId, room);
+    activateIfReady(roomId, room);
+    persistRoom(roomId);
+    console.log(`Computer (level ${level}) joined room ${roomId} as ${color}`);
+}
+
+// Finish the current game: freeze the clock, record the outcome and tell the room
+function endGame(roomId, room, outcome) {
+    if (room.status === 'finished') return;
+    
+    stopClock(roomId, room);
+    room.status = 'finished';
+    room.drawOffer = null;
+    room.takebackOffer = null;
+    room.result = { ...outcome, score: resultToPgn(outcome), endedAt: Date.now() };
+    recordMatchResult(room, outcome);
+    resetMoveDeadline(roomId, room);
+    
+    const ratingChanges = applyRatings(room, outcome);
+    if (ratingChanges) {
+        room.result.ratingChanges = ratingChanges;
+    }
+    
+    io.to(roomId).emit('gameEnd', ratingChanges ? { ...outcome, ratingChanges } : outcome);
+    io.to(roomId).emit('gameStatus', getGameStatus(room));
+    io.to(roomId).emit('matchScore', getMatchScore(room));
+    if (ratingChanges) {
+        emitPlayersUpdate(roomId, room);
+    }
+    revealSpectatorChat(room);
+    scheduleLobbyUpdate();
+    
+    persistRoom(roomId);
+    const record = { ...serializeRoom(roomId, room), endedAt: room.result.endedAt };
+    gameStore.archiveGame(record);
+    explorer.addGame(record);
+    
+    if (room.tournament) {
+        recordTournamentGame(room.tournament, room.result.score);
+    }
+}
+
+// Update both players' ratings for a finished rated game. Both new ratings are
+// computed from the pre-game values before either user record is touched.
+// Returns the per-colour changes, or null when the game does not count.
+function applyRatings(room, outcome) {
+    if (!room.rated || room.moveHistory.length < 2) return null;
+    
+    const white = accounts.getUser(room.accounts.white);
+    const black = accounts.getUser(room.accounts.black);
+    if (!white || !black || white.id === black.id) return null;
+    
+    const category = getTimeControlCategory(room.timeControl);
+    const before = { white: getUserRating(white, category), black: getUserRating(black, category) };
+    const whiteScore = outcome.winner === 'white' ? 1 : outcome.winner === 'black' ? 0 : 0.5;
+    const after = rateGame(before.white, before.black, whiteScore);
+    
+    recordUserRating(white, category, after.white, room.gameId);
+    recordUserRating(black, category, after.black, room.gameId);
+    accounts.saveUser(white);
+    accounts.saveUser(black);
+    
+    const change = (role) => ({
+        before: Math.round(before[role].rating),
+        after: Math.round(after[role].rating),
+        change: Math.round(after[role].rating) - Math.round(before[role].rating)
+    });
+    return { category, white: change('white'), black: change('black') };
+}
+
+// Current rating of each seated account in the room's category (rated rooms only)
+function getPlayerRatings(room) {
+    if (!room.rated) return null;
+    
+    const category = getTimeControlCategory(room.timeControl);
+    const ratingOf = (role) => {
+        const user = accounts.getUser(room.accounts[role]);
+        if (!user) return null;
+        const rating = getUserRating(user, category);
+        return { rating: Math.round(rating.rating), provisional: isProvisional(rating) };
+    };
+    return { white: ratingOf('white'), black: ratingOf('black') };
+}
+
+// Why a socket may not take a seat, or null when it can
+function getSeatError(room, role, socket) {
+    if (room.reservedUntil > Date.now() && room.sessions[role]) {
+        return 'This seat is reserved for a matched player. You are now spectating.';
+    }
+    
+    // Tournament seats belong to the paired accounts
+    if (room.tournament && (!socket.user || socket.user.id !== room.accounts[role])) {
+        return 'This seat belongs to a tournament player. You are now spectating.';
+    }
+    
+    // A correspondence seat belongs to the account that first took it
+    if (room.daysPerMove) {
+        if (!socket.user) {
+            return 'Correspondence games are for logged-in players only. You are now spectating.';
+        }
+        if (room.accounts[role] && room.accounts[role] !== socket.user.id) {
+            return 'This seat belongs to another player. You are now spectating.';
+        }
+    }
+    
+    if (!room.rated) return null;
+    if (!socket.user) {
+        return 'Rated games are for logged-in players only. You are now spectating.';
+    }
+    
+    const opponent = role === 'white' ? 'black' : 'white';
+    if (room.players[opponent] && room.accounts[opponent] === socket.user.id) {
+        return 'You cannot play both sides of a rated game. You are now spectating.';
+    }
+    return null;
+}
+
+// Display names of the account holding each seat (null for anonymous players)
+function getPlayerNames(room) {
+    const nameOf = (role) => {
+        if (room.computer && room.computer.color === role) {
+            return `Computer (${ENGINE_LEVELS[room.computer.level].name})`;
+        }
+        const user = accounts.getUser(room.accounts[role]);
+        return user ? user.username : null;
+    };
+    return { white: nameOf('white'), black: nameOf('black') };
+}
+
+// A player coming back to their own seat (say, to a correspondence game
+// days later) takes it over from a connection of theirs that has dropped
+function releaseDroppedSeat(room, role, socket) {
+    const holder = room.players[role];
+    if (!holder || holder === COMPUTER_PLAYER || io.sockets.sockets.has(holder)) return;
+    
+    if (socket.user && room.accounts[role] === socket.user.id) {
+        delete room.players[role];
+    }
+}
+
+// Remember which account (if any) sits in a seat
+function assignSeatOwner(room, role, socket) {
+    room.accounts[role] = socket.user ? socket.user.id : null;
+}
+
+function emitPlayersUpdate(roomId, room) {
+    io.to(roomId).emit('playersUpdate', {
+        white: room.players.white ? 'connected' : 'waiting',
+        black: room.players.black ? 'connected' : 'waiting',
+        names: getPlayerNames(room),
+        ratings: getPlayerRatings(room),
+        spectators: room.spectators.length
+    });
+    scheduleLobbyUpdate();
+}
+
+// A room is listed while someone sits waiting for an opponent or a game is being played.
+// Seats reserved by matchmaking are not open to the public.
+function isListedInLobby(room) {
+    if (room.private) return false;
+    if (room.status === 'active') return true;
+    
+    const reserved = room.reservedUntil > Date.now();
+    const humanWaiting = ['white', 'black'].some(role => isSeatTaken(room, role) && room.players[role] !== COMPUTER_PLAYER);
+    return room.status === 'waiting' && !reserved && humanWaiting;
+}
+
+function getLobbyRooms() {
+    return Object.entries(gameRooms)
+        .filter(([, room]) => isListedInLobby(room))
+        .map(([roomId, room]) => ({
+            roomId,
+            status: room.status,
+            variant: room.variant,
+            variantName: VARIANTS[room.variant].name,
+            names: getPlayerNames(room),
+            ratings: getPlayerRatings(room),
+            openSeats: ['white', 'black'].filter(role => !isSeatTaken(room, role)),
+            timeControl: describeRoomTimeControl(room),
+            rated: room.rated,
+            moves: room.moveHistory.length,
+            spectators: room.spectators.length,
+            createdAt: room.createdAt
+        }))
+        .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+// Lobby changes arrive in bursts (joins, moves), so subscribers get at most
+// one full listing per interval
+let lobbyUpdateTimer = null;
+function scheduleLobbyUpdate() {
+    if (lobbyUpdateTimer) return;
+    
+    lobbyUpdateTimer = setTimeout(() => {
+        lobbyUpdateTimer = null;
+        io.to(LOBBY_CHANNEL).emit('lobbyRooms', getLobbyRooms());
+    }, LOBBY_UPDATE_INTERVAL);
+}
+
+// Running score between the two players, keyed by their reconnect sessions
+// so it follows each player when colours are swapped for a rematch
+function getMatchScore(room) {
+    const points = room.match.points;
+    return {
+        white: points[room.sessions.white] || 0,
+        black: points[room.sessions.black] || 0,
+        games: room.match.games
+    };
+}
+
+function recordMatchResult(room, outcome) {
+    const { white, black } = room.sessions;
+    if (!white || !black) return;
+    
+    const points = room.match.points;
+    points[white] = (points[white] || 0) + (outcome.winner === 'white' ? 1 : outcome.winner ? 0 : 0.5);
+    points[black] = (points[black] || 0) + (outcome.winner === 'black' ? 1 : outcome.winner ? 0 : 0.5);
+    room.match.games++;
+}
+
+// Start a new game in the same room with colours swapped. The finished game
+// was already archived by endGame.
+function startRematch(roomId, room) {
+    clearTimeout(room.flagTimer);
+    room.flagTimer = null;
+    
+    room.chess.load(room.startFen);
+    room.moveHistory = [];
+    room.currentPlayer = room.chess.turn();
+    room.gameId = generateGameId(roomId);
+    room.result = null;
+    room.drawOffer = null;
+    room.takebackOffer = null;
+    room.rematchOffer = null;
+    room.clock = room.timeControl ? new ChessClock(room.timeControl) : null;
+    
+    // Swap seats and the reconnect sessions that belong to them
+    room.players = { white: room.players.black, black: room.players.white };
+    room.sessions = { white: room.sessions.black, black: room.sessions.white };
+    room.accounts = { white: room.accounts.black, black: room.accounts.white };
+    if (room.computer) {
+        room.computer.color = room.computer.color === 'white' ? 'black' : 'white';
+    }
+    ['white', 'black'].forEach(role => {
+        const sessionId = room.sessions[role];
+        if (sessionId && playerSessions[sessionId]) {
+            playerSessions[sessionId].role = role;
+        }
+        if (room.players[role]) {
+            io.to(room.players[role]).emit('roleAssigned', role);
+        }
+    });
+    gameStore.saveSessions(playerSessions);
+    
+    room.status = 'active';
+    resetMoveDeadline(roomId, room);
+    io.to(roomId).emit('gameReset');
+    io.to(roomId).emit('boardState', room.chess.fen());
+    io.to(roomId).emit('moveHistory', room.moveHistory);
+    updateOpening(roomId, room);
+    io.to(roomId).emit('clockUpdate', room.clock ? room.clock.toJSON() : null);
+    io.to(roomId).emit('gameStatus', getGameStatus(room));
+    io.to(roomId).emit('matchScore', getMatchScore(room));
+    emitPlayersUpdate(roomId, room);
+    persistRoom(roomId);
+    scheduleComputerMove(roomId, room);
+    
+    console.log(`Rematch started in room ${roomId} (game ${room.match.games + 1})`);
+}
+
+// Send everything a (re)joining client needs to render the room
+function sendRoomState(socket, room) {
+    socket.emit('boardState', room.chess.fen());
+    socket.emit('moveHistory', room.moveHistory);
+    socket.emit('opening', room.opening);
+    socket.emit('chatHistory', getVisibleChat(room, socket));
+    socket.emit('chatSettings', room.chatSettings);
+    socket.emit('chatIdentity', getChatSenderId(socket));
+    socket.emit('roomInfo', {
+        timeControl: describeRoomTimeControl(room),
+        daysPerMove: room.daysPerMove,
+        startFen: room.startFen,
+        variant: room.variant,
+        variantName: VARIANTS[room.variant].name,
+        rated: room.rated,
+        takebacks: room.takebacks,
+        tournament: room.tournament
+    });
+    if (room.private) {
+        socket.emit('pgnAccess', invites.create(socket.roomId, room.inviteKey, PGN_SCOPE).token);
+    }
+    socket.emit('clockUpdate', room.clock ? room.clock.toJSON() : null);
+    socket.emit('moveDeadline', room.moveDeadline);
+    socket.emit('gameStatus', getGameStatus(room));
+    socket.emit('matchScore', getMatchScore(room));
+}
+
+// Arm a timer that ends the game when the side to move runs out of time
+function scheduleFlagCheck(roomId, room) {
+    clearTimeout(room.flagTimer);
+    room.flagTimer = null;
+    
+    if (!room.clock || !room.clock.running) return;
+    
+    room.flagTimer = setTimeout(() => {
+        if (gameRooms[roomId] !== room || !room.clock.running) return;
+        
+        if (room.clock.isFlagged(room.clock.running)) {
+            handleFlagFall(roomId, room, room.clock.running);
+        } else {
+            scheduleFlagCheck(roomId, room);
+        }
+    }, room.clock.msUntilFlag() + 50);
+}
+
+// Freeze the clock when the game ends by any means other than a flag fall
+function stopClock(roomId, room) {
+    if (!room.clock) return;
+    
+    clearTimeout(room.flagTimer);
+    room.flagTimer = null;
+    room.clock.stop();
+    io.to(roomId).emit('clockUpdate', room.clock.toJSON());
+}
+
+function handleFlagFall(roomId, room, color) {
+    room.clock.flag(color);
+    
+    const flaggedPlayer = color === 'w' ? 'white' : 'black';
+    const winner = color === 'w' ? 'black' : 'white';
+    
+    endGame(roomId, room, {
+        type: 'timeout',
+        winner: winner,
+        flaggedPlayer: flaggedPlayer,
+        message: `${flaggedPlayer.charAt(0).toUpperCase() + flaggedPlayer.slice(1)} ran out of time`
+    });
+    
+    console.log(`${flaggedPlayer} flagged in room ${roomId}`);
+}
+
+// A correspondence player who lets the deadline pass forfeits the game
+setInterval(() => {
+    const now = Date.now();
+    
+    for (const roomId in gameRooms) {
+        const room = gameRooms[roomId];
+        if (room.status !== 'active' || !room.moveDeadline || room.moveDeadline > now) continue;
+        
+        const flaggedPlayer = room.chess.turn() === 'w' ? 'white' : 'black';
+        endGame(roomId, room, {
+            type: 'timeout',
+            winner: flaggedPlayer === 'white' ? 'black' : 'white',
+            flaggedPlayer: flaggedPlayer,
+            message: `${flaggedPlayer.charAt(0).toUpperCase() + flaggedPlayer.slice(1)} did not move within ${describeDaysPerMove(room.daysPerMove)}`
+        });
+        console.log(`${flaggedPlayer} missed the move deadline in room ${roomId}`);
+    }
+}, DEADLINE_CHECK_INTERVAL);
+
+// Cleanup inactive rooms periodically to prevent memory leaks
+setInterval(() => {
+    const now = Date.now();
+    const inactivityThreshold = 3600000; // 1 hour
+    
+    for (const roomId in gameRooms) {
+        const room = gameRooms[roomId];
+        // Unfinished tournament and correspondence games wait as long as they need
+        const keepWaiting = !room.result && (room.tournament || room.daysPerMove);
+        if (now - room.lastActivity > inactivityThreshold && !keepWaiting) {
+            console.log(`Cleaning up inactive room: ${roomId}`);
+            clearTimeout(room.flagTimer);
+            
+            // Finished games are already archived; keep abandoned ones too
+            if (!room.result && room.moveHistory.length > 0) {
+                gameStore.archiveGame({ ...serializeRoom(roomId, room), endedAt: now });
+            }
+            gameStore.deleteRoom(roomId);
+            delete gameRooms[roomId];
+            scheduleLobbyUpdate();
+        }
+    }
+}, 1800000); // Run every 30 minutes
+
+// Cleanup old player sessions
+setInterval(() => {
+    const now = Date.now();
+    for (const sessionId in playerSessions) {
+        const session = playerSessions[sessionId];
+        if (!gameRooms[session.roomId]) {
+            delete playerSessions[sessionId];
+        }
+    }
+    gameStore.saveSessions(playerSessions);
+}, 1800000); // Run every 30 minutes
+
+function generateSessionId() {
+    return Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
+}
+
+// Issue a reconnect token for a seated player
+function createPlayerSession(socket, roomId, role) {
+    const sessionId = generateSessionId();
+    playerSessions[sessionId] = { roomId, role };
+    gameRooms[roomId].sessions[role] = sessionId;
+    assignSeatOwner(gameRooms[roomId], role, socket);
+    gameStore.saveSessions(playerSessions);
+    socket.emit('sessionId', sessionId);
+}
+
+function isRoomOwner(room, socket) {
+    return socket.ownedRoom === room ||
+        Boolean(room.ownerId && socket.user && socket.user.id === room.ownerId);
+}
+
+function isBanned(room, socket) {
+    return room.bans.some(ban =>
+        (ban.userId && socket.user && ban.userId === socket.user.id) ||
+        (ban.ip && ban.ip === socket.handshake.address));
+}
+
+// Chat
+// Messages carry a stable sender id instead of a socket id, so mutes and
+// blocks outlive reconnects: the account for logged-in users, otherwise a
+// hash of the address (the same identity IP bans use).
+function getChatSenderId(socket) {
+    if (socket.user) return `u:${socket.user.id}`;
+    return `g:${crypto.createHash('sha256').update(String(socket.handshake.address)).digest('hex').substring(0, 16)}`;
+}
+
+function isSeatedSocket(room, socket) {
+    return socket.id === room.players.white || socket.id === room.players.black;
+}
+
+// Players only see the spectator channel once the game it was written during is over
+function canSeeSpectatorMessage(room, socket, message) {
+    return !isSeatedSocket(room, socket) || room.status === 'finished' || message.gameId !== room.gameId;
+}
+
+function getVisibleChat(room, socket) {
+    const spectatorMessages = room.spectatorChatHistory.filter(message => canSeeSpectatorMessage(room, socket, message));
+    return [...room.chatHistory, ...spectatorMessages]
+        .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+// Send the players the spectator messages they were kept from during the game
+function revealSpectatorChat(room) {
+    if (room.spectatorChatHistory.length === 0) return;
+    
+    ['white', 'black'].forEach(color => {
+        const playerSocket = io.sockets.sockets.get(room.players[color]);
+        if (playerSocket) {
+            playerSocket.emit('chatHistory', getVisibleChat(room, playerSocket));
+        }
+    });
+}
+
+function emitToRoomOwners(roomId, room, event, payload) {
+    for (const ownerSocket of io.sockets.sockets.values()) {
+        if (ownerSocket.roomId === roomId && isRoomOwner(room, ownerSocket)) {
+            ownerSocket.emit(event, payload);
+        }
+    }
+}
+
+function getChatModeration(room) {
+    return { mutes: room.chatMutes, reports: room.chatReports };
+}
+
+// Decide whether a socket may enter a room. Private rooms admit their owner,
+// holders of a valid invite (which also fixes the role) and, when the room has
+// a password, anyone who knows it.
+async function checkRoomAccess(roomId, room, socket, { password, invite, ownerKey }) {
+    if (isBanned(room, socket)) {
+        return { allowed: false, message: 'You have been banned from this room' };
+    }
+    
+    if (room.ownerKey && safeEqual(ownerKey, room.ownerKey)) {
+        socket.ownedRoom = room;
+    }
+    if (!room.private || isRoomOwner(room, socket)) {
+        return { allowed: true };
+    }
+    
+    // PGN tokens only unlock the download, never the room itself
+    const inviteRole = invites.verify(invite, roomId, room.inviteKey);
+    if (INVITE_ROLES.includes(inviteRole)) {
+        return { allowed: true, role: inviteRole };
+    }
+    
+    if (room.passwordHash && typeof password === 'string' && password) {
+        if (!checkRateLimit(socket.id, 'roomPassword', 5, 60000)) {
+            return { allowed: false, needsPassword: true, message: 'Too many password attempts, please wait a moment' };
+        }
+        if (await verifyPassword(password, room.passwordHash)) {
+            return { allowed: true };
+        }
+        return { allowed: false, needsPassword: true, message: 'Incorrect room password' };
+    }
+    
+    return room.passwordHash
+        ? { allowed: false, needsPassword: true, message: 'This room is password protected' }
+        : { allowed: false, message: 'This room is private - ask the owner for an invite link' };
+}
+
+// Remove whoever holds a seat, revoking their reconnect session. A ban also
+// keeps their account and address out of the room for good.
+function removeSeatHolder(roomId, room, role, ban) {
+    const target = io.sockets.sockets.get(room.players[role]);
+    
+    const userId = room.accounts[role] || null;
+    const ip = target ? target.handshake.address : null;
+    if (ban && (userId || ip)) {
+        room.bans.push({ userId, ip, at: Date.now() });
+    }
+    
+    delete playerSessions[room.sessions[role]];
+    delete room.sessions[role];
+    delete room.players[role];
+    room.accounts[role] = null;
+    if (room.computer && room.computer.color === role) {
+        room.computer = null;
+    }
+    gameStore.saveSessions(playerSessions);
+    
+    if (target) {
+        target.emit('kicked', {
+            banned: ban,
+            message: ban ? 'You have been banned from this room by its owner' : 'You have been removed from this room by its owner'
+        });
+        target.leave(roomId);
+        target.roomId = null;
+    }
+    
+    emitPlayersUpdate(roomId, room);
+    persistRoom(roomId);
+    console.log(`${role} was ${ban ? 'banned' : 'kicked'} from room ${roomId}`);
+}
+
+function findArchivedGame(gameId) {
+    return gameStore.getArchivedGame(gameId);
+}
+
+// Games from private rooms are only shown to the two players
+function canViewArchivedGame(record, viewer) {
+    return !record.private || Boolean(viewer && getUserColor(record, viewer.id));
+}
+
+// A user's finished games as profile summaries, newest first
+function getProfileGames(user, viewer) {
+    return getCompletedGames(gameStore.listPlayerGames(user.id), user.id)
+        .filter(record => canViewArchivedGame(record, viewer))
+        .map(record => summarizeGame(record, user.id));
+}
+
+// Current rating per time-control category, optionally with the full history
+function getPublicRatings(user, { history = false } = {}) {
+    const ratings = {};
+    Object.entries(user.ratings || {}).forEach(([category, entry]) => {
+        ratings[category] = {
+            rating: Math.round(entry.rating),
+            rd: Math.round(entry.rd),
+            provisional: isProvisional(entry),
+            games: entry.games
+        };
+        if (history) {
+            ratings[category].history = entry.history;
+        }
+    });
+    return ratings;
+}
+
+// What the replay board needs from an archived game; no room secrets or chat
+function getArchivedGameView(record) {
+    const variant = record.variant || 'standard';
+    return {
+        gameId: record.gameId,
+        roomId: record.roomId,
+        variant,
+        variantName: VARIANTS[variant].name,
+        startFen: record.startFen || DEFAULT_POSITION,
+        moveHistory: record.moveHistory || [],
+        opening: record.opening || classifyGame(record),
+        playerNames: record.playerNames || { white: null, black: null },
+        registered: { white: Boolean(record.accounts && record.accounts.white), black: Boolean(record.accounts && record.accounts.black) },
+        timeControl: describeRoomTimeControl(record),
+        rated: Boolean(record.rated),
+        tournament: record.tournament || null,
+        result: record.result,
+        createdAt: record.createdAt,
+        endedAt: record.endedAt
+    };
+}
+
+// Analyses run one game at a time so they share the engine fairly with
+// computer opponents; finished ones are kept in a small in-memory cache
+const analysisJobs = new Map(); // gameId -> { status, progress, analysis }
+let analysisQueue = Promise.resolve();
+
+function startAnalysis(record) {
+    const job = { status: 'queued', progress: { done: 0, total: record.moveHistory ? record.moveHistory.length + 1 : 0 }, analysis: null };
+    analysisJobs.set(record.gameId, job);
+    
+    analysisQueue = analysisQueue.then(() => {
+        job.status = 'running';
+        return analyzeGame(record, engine, (done, total) => {
+            job.progress = { done, total };
+        });
+    }).then(analysis => {
+        job.status = 'done';
+        job.analysis = analysis;
+        
+        // Drop the oldest finished analysis once the cache is full
+        if (analysisJobs.size > MAX_CACHED_ANALYSES) {
+            for (const [gameId, cached] of analysisJobs) {
+                if (cached.status === 'done') {
+                    analysisJobs.delete(gameId);
+                    break;
+                }
+            }
+        }
+    }).catch(error => {
+        job.status = 'failed';
+        console.error(`Analysis of game ${record.gameId} failed:`, error.message);
+    });
+    
+    return job;
+}
+
+function generateMatchRoomId() {
+    let roomId;
+    do {
+        roomId = 'M' + Math.random().toString(36).substring(2, 9).toUpperCase().padEnd(7, '0');
+    } while (gameRooms[roomId]);
+    return roomId;
+}
+
+// Create a room for two paired queue entries. Colours are decided by a coin
+// flip and both seats are reserved with reconnect sessions, which the clients
+// use to claim them when they load the game page.
+function startMatchedGame(first, second) {
+    const roomId = generateMatchRoomId();
+    const room = getOrCreateRoom(roomId, { timeControl: first.timeControl, rated: first.rated });
+    room.reservedUntil = Date.now() + MATCH_RESERVATION_MS;
+    
+    const [white, black] = Math.random() < 0.5 ? [first, second] : [second, first];
+    [['white', white], ['black', black]].forEach(([role, entry]) => {
+        const sessionId = generateSessionId();
+        playerSessions[sessionId] = { roomId, role };
+        room.sessions[role] = sessionId;
+        room.accounts[role] = entry.userId;
+        io.to(entry.socketId).emit('matchFound', {
+            roomId,
+            role,
+            sessionId,
+            timeControl: describeTimeControl(room.timeControl),
+            rated: room.rated
+        });
+    });
+    gameStore.saveSessions(playerSessions);
+    persistRoom(roomId);
+    
+    console.log(`Matched ${first.socketId} and ${second.socketId} in room ${roomId}`);
+}
+
+function generateTournamentId() {
+    let tournamentId;
+    do {
+        tournamentId = 'T' + Math.random().toString(36).substring(2, 7).toUpperCase().padEnd(5, '0');
+    } while (tournaments[tournamentId]);
+    return tournamentId;
+}
+
+// Short form for the tournament list
+function getTournamentSummary(tournament) {
+    return {
+        id: tournament.id,
+        name: tournament.name,
+        format: tournament.format,
+        formatName: tournamentRules.TOURNAMENT_FORMATS[tournament.format].name,
+        status: tournament.status,
+        players: tournament.players.length,
+        roundCount: tournamentRules.getRoundCount(tournament),
+        currentRound: tournament.rounds.length,
+        timeControl: describeTimeControl(tournament.timeControl),
+        rated: tournament.rated,
+        variantName: VARIANTS[tournament.variant].name,
+        createdAt: tournament.createdAt
+    };
+}
+
+// Everything the tournament page shows: players, every round and the standings
+function getTournamentView(tournament) {
+    const organizer = accounts.getUser(tournament.organizerId);
+    const nameOf = (userId) => {
+        const player = tournament.players.find(entry => entry.userId === userId);
+        return player ? player.username : null;
+    };
+    
+    return {
+        ...getTournamentSummary(tournament),
+        organizer: organizer ? organizer.username : null,
+        startedAt: tournament.startedAt,
+        finishedAt: tournament.finishedAt,
+        entrants: tournament.players.map(({ username, rating }) => ({ username, rating })),
+        rounds: tournament.rounds.map(round => ({
+            number: round.number,
+            bye: nameOf(round.bye),
+            pairings: round.pairings.map(pairing => ({
+                board: pairing.board,
+                white: nameOf(pairing.white),
+                black: nameOf(pairing.black),
+                roomId: pairing.roomId,
+                result: pairing.result
+            }))
+        })),
+        standings: tournamentRules.computeStandings(tournament).map(entry => ({
+            rank: entry.rank,
+            username: entry.username,
+            rating: entry.rating,
+            points: entry.points,
+            buchholz: entry.buchholz,
+            sonnebornBerger: entry.sonnebornBerger,
+            played: entry.played,
+            wins: entry.wins,
+            draws: entry.draws,
+            losses: entry.losses
+        }))
+    };
+}
+
+// Persist a tournament and push the new state to everyone watching it
+function saveTournament(tournament) {
+    gameStore.saveTournament(tournament);
+    io.to(TOURNAMENT_CHANNEL_PREFIX + tournament.id).emit('tournamentUpdate', getTournamentView(tournament));
+}
+
+// Pair the next round and open a room for every game. Each seat is kept for
+// the paired account, which takes it by opening the game link.
+function startTournamentRound(tournament) {
+    const round = tournamentRules.pairNextRound(tournament);
+    
+    round.pairings.forEach(pairing => {
+        const roomId = `${tournament.id}-${round.number}-${pairing.board}`;
+        const startFen = getVariantStartFen(tournament.variant);
+        const room = getOrCreateRoom(roomId, {
+            variant: tournament.variant,
+            timeControl: tournament.timeControl,
+            rated: tournament.rated,
+            takebacks: false,
+            chess: createGame(tournament.variant, startFen),
+            startFen,
+            tournament: { id: tournament.id, name: tournament.name, round: round.number, board: pairing.board }
+        });
+        room.accounts = { white: pairing.white, black: pairing.black };
+        pairing.roomId = roomId;
+        persistRoom(roomId);
+    });
+    
+    saveTournament(tournament);
+    console.log(`Tournament ${tournament.id}: round ${round.number} paired`);
+}
+
+// Record a finished tournament game; the last result of a round pairs the
+// next one, and the last result of the event finishes it
+function recordTournamentGame(reference, score) {
+    const tournament = tournaments[reference.id];
+    if (!tournament || tournament.status !== 'running') return;
+    if (!tournamentRules.recordResult(tournament, reference.round, reference.board, score)) return;
+    
+    const round = tournamentRules.getCurrentRound(tournament);
+    if (round.number === reference.round && tournamentRules.isRoundComplete(round)) {
+        if (tournament.rounds.length < tournamentRules.getRoundCount(tournament)) {
+            startTournamentRound(tournament);
+            return;
+        }
+        tournament.status = 'finished';
+        tournament.finishedAt = Date.now();
+        console.log(`Tournament ${tournament.id} finished`);
+    }
+    saveTournament(tournament);
+}
+
+// Attach the logged-in user from the session cookie to the socket
+io.use((socket, next) => {
+    socket.user = accounts.getUserFromCookieHeader(socket.handshake.headers.cookie);
+    next();
+});
+
 io.on('connection', (socket) => {
     console.log('a user connected', socket.id);
     perfMonitor.recordConnection();
@@ -190,6 +2032,7 @@ io.on('connection', (socket) => {
     socket.on('disconnect', (reason) => {
         console.log('User disconnected:', socket.id, 'Reason:', reason);
         perfMonitor.recordDisconnection();
+        matchmaking.leave(socket.id);
         handleDisconnection(socket);
     });
     
@@ -208,6 +2051,7 @@ io.on('connection', (socket) => {
             
             // Remove from spectators if present
             room.spectators = room.spectators.filter(id => id !== socket.id);
+            scheduleLobbyUpdate();
             
             // Clear any existing disconnect timer for this socket
             if (disconnectTimers.has(socket.id)) {
@@ -226,108 +2070,336 @@ io.on('connection', (socket) => {
                 }
                 
                 // Update all clients in room
-                io.to(roomId).emit('playersUpdate', {
-                    white: room.players.white ? 'connected' : 'waiting',
-                    black: room.players.black ? 'connected' : 'waiting',
-                    spectators: room.spectators.length
-                });
+                emitPlayersUpdate(roomId, room);
                 
                 disconnectTimers.delete(socket.id);
             }, 30000); // 30 seconds grace period for reconnection
             
             disconnectTimers.set(socket.id, timer);
         }
-    }
+    }
+    
+    socket.on('joinRoom', async (data) => {
+        // A missing payload must not throw here: the rejection would stop the server
+        let { roomId, preferredRole, password, invite, ownerKey } = data || {};
+        
+        // Validate room ID
+        if (!validateRoomId(roomId)) {
+            socket.emit('error', { message: 'Invalid room ID format' });
+            return;
+        }
+        
+        // Validate role
+        const validRoles = ['white', 'black', 'spectator'];
+        if (!validRoles.includes(preferredRole)) {
+            socket.emit('error', { message: 'Invalid role specified' });
+            return;
+        }
+        
+        // Existing rooms may be private or have banned this socket
+        if (gameRooms[roomId]) {
+            const access = await checkRoomAccess(roomId, gameRooms[roomId], socket, { password, invite, ownerKey });
+            if (!access.allowed) {
+                socket.emit('roomAccessDenied', { roomId, message: access.message, needsPassword: Boolean(access.needsPassword) });
+                return;
+            }
+            
+            // An invite decides the seat; a seat invite still allows spectating
+            if (access.role && preferredRole !== 'spectator') {
+                preferredRole = access.role;
+            }
+        }
+        
+        const room = getOrCreateRoom(roomId);
+        socket.join(roomId);
+        socket.roomId = roomId;
+        
+        if (preferredRole !== 'spectator') {
+            releaseDroppedSeat(room, preferredRole, socket);
+        }
+        
+        let assignedRole = 'spectator';
+        
+        // Handle role assignment based on preference
+        if (preferredRole === 'white') {
+            const seatError = room.players.white ? null : getSeatError(room, 'white', socket);
+            if (!room.players.white && !seatError) {
+                room.players.white = socket.id;
+                assignedRole = 'white';
+                createPlayerSession(socket, roomId, 'white');
+            } else {
+                // White is taken, notify user
+                socket.emit('roleUnavailable', { 
+                    requested: 'white', 
+                    message: seatError || 'White player slot is already taken. You can spectate or try black if available.' 
+                });
+                room.spectators.push(socket.id);
+            }
+        } else if (preferredRole === 'black') {
+            const seatError = room.players.black ? null : getSeatError(room, 'black', socket);
+            if (!room.players.black && !seatError) {
+                room.players.black = socket.id;
+                assignedRole = 'black';
+                createPlayerSession(socket, roomId, 'black');
+            } else {
+                // Black is taken, notify user
+                socket.emit('roleUnavailable', { 
+                    requested: 'black', 
+                    message: seatError || 'Black player slot is already taken. You can spectate or try white if available.' 
+                });
+                room.spectators.push(socket.id);
+            }
+        } else if (preferredRole === 'viewer' || preferredRole === 'spectator') {
+            room.spectators.push(socket.id);
+            assignedRole = 'spectator';
+        } else {
+            // No preference or invalid preference - assign first available
+            if (!room.players.white) {
+                room.players.white = socket.id;
+                assignedRole = 'white';
+                createPlayerSession(socket, roomId, 'white');
+            } else if (!room.players.black) {
+                room.players.black = socket.id;
+                assignedRole = 'black';
+                createPlayerSession(socket, roomId, 'black');
+            } else {
+                room.spectators.push(socket.id);
+                assignedRole = 'spectator';
+            }
+        }
+        
+        socket.emit('roleAssigned', assignedRole);
+        console.log(`Sending board state to ${socket.id}:`, room.chess.fen());
+        sendRoomState(socket, room);
+        
+        // Notify all clients in room about player status
+        emitPlayersUpdate(roomId, room);
+        
+        activateIfReady(roomId, room);
+        persistRoom(roomId);
+        console.log(`Player ${socket.id} joined room ${roomId} as ${assignedRole} (requested: ${preferredRole})`);
+    });
+    
+    // Live lobby listing for the landing page
+    socket.on('joinLobby', () => {
+        socket.join(LOBBY_CHANNEL);
+        socket.emit('lobbyRooms', getLobbyRooms());
+    });
+    
+    socket.on('leaveLobby', () => {
+        socket.leave(LOBBY_CHANNEL);
+    });
+    
+    // Live standings and pairings for a tournament page
+    socket.on('joinTournament', (tournamentId) => {
+        const tournament = typeof tournamentId === 'string' && tournaments[tournamentId];
+        if (!tournament) return;
+        
+        socket.join(TOURNAMENT_CHANNEL_PREFIX + tournament.id);
+        socket.emit('tournamentUpdate', getTournamentView(tournament));
+    });
+    
+    socket.on('leaveTournament', (tournamentId) => {
+        if (typeof tournamentId === 'string') {
+            socket.leave(TOURNAMENT_CHANNEL_PREFIX + tournamentId);
+        }
+    });
+    
+    // Wait in the matchmaking queue for an opponent with the same time control
+    socket.on('joinQueue', (options = {}) => {
+        if (!checkRateLimit(socket.id, 'joinQueue', 10, 60000)) {
+            socket.emit('queueError', 'Too many matchmaking requests, please wait a moment');
+            return;
+        }
+        
+        const timeControl = parseTimeControl(options.timeControl);
+        if (timeControl === false) {
+            socket.emit('queueError', 'Invalid time control');
+            return;
+        }
+        
+        const rated = Boolean(options.rated);
+        if (rated && !socket.user) {
+            socket.emit('queueError', 'Log in to play rated games');
+            return;
+        }
+        if (rated && !timeControl) {
+            socket.emit('queueError', 'Rated games need a time control');
+            return;
+        }
+        
+        // Accept any opponent unless a maximum rating difference is given
+        let ratingRange = null;
+        if (options.ratingRange !== undefined && options.ratingRange !== null) {
+            ratingRange = Number(options.ratingRange);
+            if (!Number.isInteger(ratingRange) || ratingRange < 50 || ratingRange > 1000) {
+                socket.emit('queueError', 'Rating range must be between 50 and 1000');
+                return;
+            }
+        }
+        
+        const rating = socket.user
+            ? Math.round(getUserRating(socket.user, getTimeControlCategory(timeControl)).rating)
+            : null;
+        const entry = {
+            socketId: socket.id,
+            userId: socket.user ? socket.user.id : null,
+            rating,
+            ratingRange,
+            timeControl,
+            rated
+        };
+        
+        const opponent = matchmaking.join(entry);
+        if (opponent) {
+            startMatchedGame(opponent, entry);
+            return;
+        }
+        
+        socket.emit('queueJoined', {
+            timeControl: describeTimeControl(timeControl),
+            rated,
+            rating,
+            waiting: matchmaking.countWaiting(timeControl, rated)
+        });
+    });
+    
+    socket.on('leaveQueue', () => {
+        if (matchmaking.leave(socket.id)) {
+            socket.emit('queueLeft');
+        }
+    });
+    
+    // Fill the empty seat with the computer so the seated player can start
+    socket.on('playComputer', (options = {}) => {
+        const roomId = socket.roomId;
+        const room = gameRooms[roomId];
+        if (!room) return;
+        
+        const level = Number(options.level);
+        if (!ENGINE_LEVELS[level]) {
+            socket.emit('computerError', 'Computer level must be between 1 and 5');
+            return;
+        }
+        if (socket.id !== room.players.white && socket.id !== room.players.black) {
+            socket.emit('computerError', 'Only a seated player can call in the computer');
+            return;
+        }
+        if (room.status !== 'waiting' || (room.players.white && room.players.black)) {
+            socket.emit('computerError', 'The computer can only take an empty seat before the game starts');
+            return;
+        }
+        if (room.rated) {
+            socket.emit('computerError', 'Games against the computer cannot be rated');
+            return;
+        }
+        if (room.tournament) {
+            socket.emit('computerError', 'Tournament seats are kept for the paired players');
+            return;
+        }
+        
+        addComputerPlayer(roomId, room, level);
+    });
+    
+    // Room owner tools: prove ownership, hand out invites, remove players
+    socket.on('claimOwnership', (ownerKey) => {
+        const room = gameRooms[socket.roomId];
+        if (!room) return;
+        
+        if (room.ownerKey && safeEqual(ownerKey, room.ownerKey)) {
+            socket.ownedRoom = room;
+        }
+        socket.emit('roomOwnership', { owner: isRoomOwner(room, socket), private: room.private });
+        if (isRoomOwner(room, socket)) {
+            socket.emit('chatModeration', getChatModeration(room));
+        }
+    });
     
-    socket.on('joinRoom', ({ roomId, preferredRole }) => {
-        // Validate room ID
-        if (!validateRoomId(roomId)) {
-            socket.emit('error', { message: 'Invalid room ID format' });
+    socket.on('createInvite', (options = {}) => {
+        const room = gameRooms[socket.roomId];
+        if (!room) return;
+        
+        if (!isRoomOwner(room, socket)) {
+            socket.emit('ownerActionError', 'Only the room owner can create invites');
+            return;
+        }
+        if (!INVITE_ROLES.includes(options.role)) {
+            socket.emit('ownerActionError', 'Invalid invite role');
             return;
         }
         
-        // Validate role
-        const validRoles = ['white', 'black', 'spectator'];
-        if (!validRoles.includes(preferredRole)) {
-            socket.emit('error', { message: 'Invalid role specified' });
+        const minutes = Number(options.expiresInMinutes);
+        const ttl = Number.isFinite(minutes) && minutes > 0 ? minutes * 60000 : undefined;
+        const { token, expiresAt } = invites.create(socket.roomId, room.inviteKey, options.role, ttl);
+        socket.emit('inviteCreated', { role: options.role, token, expiresAt });
+    });
+    
+    socket.on('kickPlayer', (options = {}) => {
+        const roomId = socket.roomId;
+        const room = gameRooms[roomId];
+        if (!room) return;
+        
+        if (!isRoomOwner(room, socket)) {
+            socket.emit('ownerActionError', 'Only the room owner can remove players');
+            return;
+        }
+        if (!['white', 'black'].includes(options.role) || !(room.players[options.role] || room.sessions[options.role])) {
+            socket.emit('ownerActionError', 'Nobody holds that seat');
+            return;
+        }
+        if (room.players[options.role] === socket.id) {
+            socket.emit('ownerActionError', 'You cannot remove yourself');
             return;
         }
         
-        const room = getOrCreateRoom(roomId);
-        socket.join(roomId);
-        socket.roomId = roomId;
+        removeSeatHolder(roomId, room, options.role, Boolean(options.ban));
+    });
+    
+    socket.on('updateChatSettings', (settings = {}) => {
+        const roomId = socket.roomId;
+        const room = gameRooms[roomId];
+        if (!room) return;
         
-        let assignedRole = 'spectator';
+        if (!isRoomOwner(room, socket)) {
+            socket.emit('ownerActionError', 'Only the room owner can change chat settings');
+            return;
+        }
         
-        // Handle role assignment based on preference
-        if (preferredRole === 'white') {
-            if (!room.players.white) {
-                room.players.white = socket.id;
-                assignedRole = 'white';
-                const sessionId = generateSessionId();
-                playerSessions[sessionId] = { roomId, role: 'white' };
-                socket.emit('sessionId', sessionId);
-            } else {
-                // White is taken, notify user
-                socket.emit('roleUnavailable', { 
-                    requested: 'white', 
-                    message: 'White player slot is already taken. You can spectate or try black if available.' 
-                });
-                room.spectators.push(socket.id);
-            }
-        } else if (preferredRole === 'black') {
-            if (!room.players.black) {
-                room.players.black = socket.id;
-                assignedRole = 'black';
-                const sessionId = generateSessionId();
-                playerSessions[sessionId] = { roomId, role: 'black' };
-                socket.emit('sessionId', sessionId);
-            } else {
-                // Black is taken, notify user
-                socket.emit('roleUnavailable', { 
-                    requested: 'black', 
-                    message: 'Black player slot is already taken. You can spectate or try white if available.' 
-                });
-                room.spectators.push(socket.id);
-            }
-        } else if (preferredRole === 'viewer' || preferredRole === 'spectator') {
-            room.spectators.push(socket.id);
-            assignedRole = 'spectator';
-        } else {
-            // No preference or invalid preference - assign first available
-            if (!room.players.white) {
-                room.players.white = socket.id;
-                assignedRole = 'white';
-                const sessionId = generateSessionId();
-                playerSessions[sessionId] = { roomId, role: 'white' };
-                socket.emit('sessionId', sessionId);
-            } else if (!room.players.black) {
-                room.players.black = socket.id;
-                assignedRole = 'black';
-                const sessionId = generateSessionId();
-                playerSessions[sessionId] = { roomId, role: 'black' };
-                socket.emit('sessionId', sessionId);
-            } else {
-                room.spectators.push(socket.id);
-                assignedRole = 'spectator';
+        Object.keys(DEFAULT_CHAT_SETTINGS).forEach(channel => {
+            if (typeof settings[channel] === 'boolean') {
+                room.chatSettings[channel] = settings[channel];
             }
-        }
+        });
         
-        socket.emit('roleAssigned', assignedRole);
-        const currentFen = room.chess.fen();
-        console.log(`Sending board state to ${socket.id}:`, currentFen);
-        socket.emit('boardState', currentFen);
-        socket.emit('moveHistory', room.moveHistory);
-        socket.emit('chatHistory', room.chatHistory || []);
+        io.to(roomId).emit('chatSettings', room.chatSettings);
+        persistRoom(roomId);
+    });
+    
+    socket.on('muteChatUser', (options = {}) => {
+        const roomId = socket.roomId;
+        const room = gameRooms[roomId];
+        if (!room) return;
         
-        // Notify all clients in room about player status
-        io.to(roomId).emit('playersUpdate', {
-            white: room.players.white ? 'connected' : 'waiting',
-            black: room.players.black ? 'connected' : 'waiting',
-            spectators: room.spectators.length
-        });
+        if (!isRoomOwner(room, socket)) {
+            socket.emit('ownerActionError', 'Only the room owner can mute users');
+            return;
+        }
+        if (typeof options.senderId !== 'string' || !CHAT_SENDER_PATTERN.test(options.senderId)) {
+            socket.emit('ownerActionError', 'Unknown chat user');
+            return;
+        }
+        if (options.senderId === getChatSenderId(socket)) {
+            socket.emit('ownerActionError', 'You cannot mute yourself');
+            return;
+        }
         
-        console.log(`Player ${socket.id} joined room ${roomId} as ${assignedRole} (requested: ${preferredRole})`);
+        room.chatMutes = room.chatMutes.filter(senderId => senderId !== options.senderId);
+        if (options.muted !== false) {
+            room.chatMutes.push(options.senderId);
+        }
+        
+        emitToRoomOwners(roomId, room, 'chatModeration', getChatModeration(room));
+        persistRoom(roomId);
     });
     
     // Handle reconnection attempts
@@ -336,20 +2408,29 @@ io.on('connection', (socket) => {
             const { roomId, role } = playerSessions[sessionId];
             const room = gameRooms[roomId];
             
-            if (room && !room.players[role]) {
+            if (room && isBanned(room, socket)) {
+                socket.emit('roomAccessDenied', { roomId, message: 'You have been banned from this room', needsPassword: false });
+                return;
+            }
+            
+            // A seat still held by a socket that has since dropped can be reclaimed
+            const holder = room && room.players[role];
+            const holderGone = holder && holder !== COMPUTER_PLAYER && !io.sockets.sockets.has(holder);
+            
+            // Rated, tournament and correspondence seats can only be reclaimed by the account that held them
+            const accountSeat = room && (room.rated || room.tournament || room.daysPerMove);
+            const ownsSeat = !accountSeat || (socket.user && socket.user.id === room.accounts[role]);
+            
+            if (room && (!holder || holderGone) && ownsSeat) {
                 socket.join(roomId);
                 socket.roomId = roomId;
                 room.players[role] = socket.id;
+                assignSeatOwner(room, role, socket);
                 socket.emit('roleAssigned', role);
-                socket.emit('boardState', room.chess.fen());
-                socket.emit('moveHistory', room.moveHistory);
-                socket.emit('chatHistory', room.chatHistory || []);
+                sendRoomState(socket, room);
+                activateIfReady(roomId, room);
                 
-                io.to(roomId).emit('playersUpdate', {
-                    white: room.players.white ? 'connected' : 'waiting',
-                    black: room.players.black ? 'connected' : 'waiting',
-                    spectators: room.spectators.length
-                });
+                emitPlayersUpdate(roomId, room);
                 
                 console.log(`Player ${socket.id} reconnected to room ${roomId} as ${role}`);
                 return;
@@ -359,70 +2440,61 @@ io.on('connection', (socket) => {
                 socket.roomId = roomId;
                 room.spectators.push(socket.id);
                 socket.emit('roleAssigned', 'spectator');
-                socket.emit('boardState', room.chess.fen());
-                socket.emit('moveHistory', room.moveHistory);
-                socket.emit('chatHistory', room.chatHistory || []);
+                sendRoomState(socket, room);
                 socket.emit('roleUnavailable', { 
                     requested: role, 
-                    message: `Your previous ${role} role is now taken. You are now spectating.` 
+                    message: ownsSeat
+                        ? `Your previous ${role} role is now taken. You are now spectating.`
+                        : `The ${role} seat belongs to another account. You are now spectating.` 
                 });
                 
-                io.to(roomId).emit('playersUpdate', {
-                    white: room.players.white ? 'connected' : 'waiting',
-                    black: room.players.black ? 'connected' : 'waiting',
-                    spectators: room.spectators.length
-                });
+                emitPlayersUpdate(roomId, room);
                 
                 console.log(`Player ${socket.id} reconnected to room ${roomId} as spectator (${role} was taken)`);
                 return;
             }
         }
+        
+        // Unknown or stale session - let the client fall back to joinRoom
+        socket.emit('sessionExpired');
     });
 
-    socket.on('move', (move) => {
+    socket.on('move', (payload) => {
         const roomId = socket.roomId;
         if (!roomId || !gameRooms[roomId]) return;
         
         const room = gameRooms[roomId];
         const chess = room.chess;
         
+        const move = parseMovePayload(payload);
+        if (!move) {
+            socket.emit('moveError', payload);
+            return;
+        }
+        
         try {
             // Check if it's the player's turn
             if (chess.turn() === 'w' && room.players.white !== socket.id) return;
             if (chess.turn() === 'b' && room.players.black !== socket.id) return;
+            
+            // Moves are only accepted while the game is in progress
+            if (room.status !== 'active') {
+                socket.emit('moveError', move);
+                socket.emit('gameStatus', getGameStatus(room));
+                return;
+            }
+            
+            // The server clock is authoritative: a move that arrives after the flag fell is rejected
+            if (room.clock && room.clock.isFlagged(chess.turn())) {
+                handleFlagFall(roomId, room, chess.turn());
+                socket.emit('moveError', move);
+                return;
+            }
 
-            const result = chess.move(move);
+            const result = applyMove(roomId, room, move);
             if (!result) {
                 console.log('invalid move');
                 socket.emit('moveError', move);
-            } else {
-                // Add move to history
-                room.moveHistory.push({
-                    move: result.san,
-                    color: result.color,
-                    timestamp: new Date().toISOString()
-                });
-                
-                room.currentPlayer = chess.turn();
-                io.to(roomId).emit('move', move);
-                io.to(roomId).emit('boardState', chess.fen());
-                io.to(roomId).emit('moveHistory', room.moveHistory);
-                
-                // Check for game end conditions (compatible with chess.js v1.0.0-beta)
-                if (chess.game_over && chess.game_over()) {
-                    if (chess.in_checkmate && chess.in_checkmate()) {
-                        const winner = chess.turn() === 'w' ? 'black' : 'white';
-                        io.to(roomId).emit('gameEnd', { type: 'checkmate', winner: winner });
-                    } else if (chess.in_stalemate && chess.in_stalemate()) {
-                        io.to(roomId).emit('gameEnd', { type: 'stalemate', winner: null });
-                    } else if (chess.in_threefold_repetition && chess.in_threefold_repetition()) {
-                        io.to(roomId).emit('gameEnd', { type: 'threefold', winner: null });
-                    } else if (chess.insufficient_material && chess.insufficient_material()) {
-                        io.to(roomId).emit('gameEnd', { type: 'insufficient', winner: null });
-                    } else if (chess.in_draw && chess.in_draw()) {
-                        io.to(roomId).emit('gameEnd', { type: 'draw', winner: null });
-                    }
-                }
             }
         } catch (err) {
             console.log(err.message);
@@ -443,14 +2515,21 @@ io.on('connection', (socket) => {
         
         const room = gameRooms[roomId];
         
-        // Only allow white and black players to send messages
-        if (socket.id !== room.players.white && socket.id !== room.players.black) {
-            socket.emit('chatError', { message: 'Only players can send messages' });
+        // Players talk on the players channel, everyone else on the spectator channel
+        const channel = isSeatedSocket(room, socket) ? 'players' : 'spectators';
+        if (!room.chatSettings[channel]) {
+            socket.emit('chatError', { message: channel === 'players' ? 'Player chat is disabled in this room' : 'Spectator chat is disabled in this room' });
+            return;
+        }
+        
+        const senderId = getChatSenderId(socket);
+        if (room.chatMutes.includes(senderId)) {
+            socket.emit('chatError', { message: 'You have been muted in this room' });
             return;
         }
         
         // Validate and sanitize message
-        const message = validateInput(data.message, 200);
+        const message = validateInput(data && data.message, 200);
         if (!message) {
             socket.emit('chatError', { message: 'Invalid message content' });
             return;
@@ -462,37 +2541,151 @@ io.on('connection', (socket) => {
         else if (socket.id === room.players.black) playerRole = 'black';
         
         const chatMessage = {
-            id: Date.now() + Math.random(),
-            message: message,
+            id: `${Date.now().toString(36)}${Math.random().toString(36).substring(2, 8)}`,
+            channel: channel,
+            message: filterProfanity(message),
             playerRole: playerRole,
+            displayName: socket.user ? socket.user.username : null,
             timestamp: new Date().toISOString(),
-            socketId: socket.id
+            senderId: senderId,
+            gameId: room.gameId
+        };
+        
+        // Keep only the last messages of each channel to prevent memory leaks
+        const historyKey = channel === 'players' ? 'chatHistory' : 'spectatorChatHistory';
+        room[historyKey] = [...room[historyKey], chatMessage].slice(-MAX_CHAT_HISTORY);
+        
+        // Spectator messages stay away from the players until the game is over
+        if (channel === 'players' || room.status === 'finished') {
+            io.to(roomId).emit('chatMessage', chatMessage);
+        } else {
+            io.to(room.spectators).emit('chatMessage', chatMessage);
+        }
+        persistRoom(roomId);
+    });
+    
+    socket.on('reportMessage', (data = {}) => {
+        const roomId = socket.roomId;
+        const room = gameRooms[roomId];
+        if (!room) return;
+        
+        if (!checkRateLimit(socket.id, 'report', 5, 60000)) {
+            socket.emit('chatError', { message: 'You are sending reports too quickly' });
+            return;
+        }
+        
+        const reported = getVisibleChat(room, socket).find(message => message.id === data.messageId);
+        if (!reported) {
+            socket.emit('chatError', { message: 'Message not found' });
+            return;
+        }
+        
+        const reporterId = getChatSenderId(socket);
+        if (reported.senderId === reporterId) {
+            socket.emit('chatError', { message: 'You cannot report your own message' });
+            return;
+        }
+        if (room.chatReports.some(report => report.messageId === reported.id && report.reporterId === reporterId)) {
+            socket.emit('chatError', { message: 'You have already reported this message' });
+            return;
+        }
+        
+        const report = {
+            messageId: reported.id,
+            senderId: reported.senderId,
+            displayName: reported.displayName,
+            playerRole: reported.playerRole,
+            message: reported.message,
+            reason: validateInput(data.reason, 100) || null,
+            reporterId,
+            timestamp: new Date().toISOString()
         };
+        room.chatReports = [...room.chatReports, report].slice(-MAX_CHAT_REPORTS);
+        
+        socket.emit('messageReported', { messageId: reported.id });
+        emitToRoomOwners(roomId, room, 'chatReported', report);
+        persistRoom(roomId);
+        console.log(`Chat message ${reported.id} reported in room ${roomId}`);
+    });
+    
+    socket.on('offerRematch', () => {
+        const roomId = socket.roomId;
+        if (!roomId || !gameRooms[roomId]) return;
+        
+        const room = gameRooms[roomId];
+        let offeringPlayer = null;
+        let opponentId = null;
+        
+        if (socket.id === room.players.white) {
+            offeringPlayer = 'white';
+            opponentId = room.players.black;
+        } else if (socket.id === room.players.black) {
+            offeringPlayer = 'black';
+            opponentId = room.players.white;
+        } else {
+            return; // Only players can offer a rematch
+        }
+        
+        if (room.status !== 'finished') {
+            socket.emit('rematchOfferError', 'The current game is not finished');
+            return;
+        }
         
-        // Add to room chat history (limited to last 50 messages)
-        if (!room.chatHistory) room.chatHistory = [];
-        room.chatHistory.push(chatMessage);
+        if (room.tournament) {
+            socket.emit('rematchOfferError', 'Tournament games cannot be rematched');
+            return;
+        }
+        
+        if (!opponentId) {
+            socket.emit('rematchOfferError', 'No opponent to offer a rematch to');
+            return;
+        }
         
-        // Keep only last 50 messages to prevent memory leaks
-        if (room.chatHistory.length > 50) {
-            room.chatHistory = room.chatHistory.slice(-50);
+        // Both players asked for a rematch - no need to wait for an answer.
+        // The computer is always up for another game.
+        if ((room.rematchOffer && room.rematchOffer !== offeringPlayer) || opponentId === COMPUTER_PLAYER) {
+            startRematch(roomId, room);
+            return;
         }
         
-        // Broadcast to all players in the room
-        io.to(roomId).emit('chatMessage', chatMessage);
+        room.rematchOffer = offeringPlayer;
+        io.to(opponentId).emit('rematchOfferReceived', { from: offeringPlayer });
+        socket.emit('rematchOfferSent');
+        
+        console.log(`${offeringPlayer} offered a rematch in room ${roomId}`);
     });
 
-    socket.on('resetGame', () => {
+    socket.on('respondToRematch', (response) => {
         const roomId = socket.roomId;
         if (!roomId || !gameRooms[roomId]) return;
         
         const room = gameRooms[roomId];
-        if (socket.id === room.players.white || socket.id === room.players.black) {
-            room.chess.reset();
-            room.moveHistory = [];
-            io.to(roomId).emit('gameReset');
-            io.to(roomId).emit('boardState', room.chess.fen());
-            io.to(roomId).emit('moveHistory', room.moveHistory);
+        if (room.status !== 'finished') return;
+        
+        let respondingPlayer = null;
+        let opponentId = null;
+        
+        if (socket.id === room.players.white) {
+            respondingPlayer = 'white';
+            opponentId = room.players.black;
+        } else if (socket.id === room.players.black) {
+            respondingPlayer = 'black';
+            opponentId = room.players.white;
+        } else {
+            return; // Only players can respond to a rematch offer
+        }
+        
+        // Only an offer made by the opponent can be answered
+        if (!room.rematchOffer || room.rematchOffer === respondingPlayer) return;
+        room.rematchOffer = null;
+        
+        if (response && response.accepted) {
+            startRematch(roomId, room);
+        } else {
+            if (opponentId) {
+                io.to(opponentId).emit('rematchOfferDeclined', { by: respondingPlayer });
+            }
+            console.log(`Rematch declined by ${respondingPlayer} in room ${roomId}`);
         }
     });
 
@@ -501,6 +2694,8 @@ io.on('connection', (socket) => {
         if (!roomId || !gameRooms[roomId]) return;
         
         const room = gameRooms[roomId];
+        if (room.status !== 'active') return;
+        
         let winner = null;
         let resigningPlayer = null;
         
@@ -514,7 +2709,7 @@ io.on('connection', (socket) => {
             return; // Only players can resign
         }
         
-        io.to(roomId).emit('gameEnd', { 
+        endGame(roomId, room, { 
             type: 'resignation', 
             winner: winner,
             resigningPlayer: resigningPlayer
@@ -528,6 +2723,11 @@ io.on('connection', (socket) => {
         if (!roomId || !gameRooms[roomId]) return;
         
         const room = gameRooms[roomId];
+        if (room.status !== 'active') {
+            socket.emit('drawOfferError', 'The game is not in progress');
+            return;
+        }
+        
         let offeringPlayer = null;
         let opponentId = null;
         
@@ -546,7 +2746,20 @@ io.on('connection', (socket) => {
             return;
         }
         
+        // The computer takes a draw only when it is clearly worse
+        if (opponentId === COMPUTER_PLAYER) {
+            const score = evaluate(room.chess, { variant: room.variant, checks: countChecks(room.moveHistory) }) *
+                (room.chess.turn() === room.computer.color[0] ? 1 : -1);
+            if (score <= COMPUTER_DRAW_THRESHOLD) {
+                endGame(roomId, room, { type: 'draw_agreement', winner: null, message: 'The computer accepted the draw' });
+            } else {
+                socket.emit('drawOfferDeclined', { by: room.computer.color });
+            }
+            return;
+        }
+        
         // Send draw offer to the opponent
+        room.drawOffer = offeringPlayer;
         io.to(opponentId).emit('drawOfferReceived', { from: offeringPlayer });
         
         // Confirm to the offering player
@@ -560,6 +2773,8 @@ io.on('connection', (socket) => {
         if (!roomId || !gameRooms[roomId]) return;
         
         const room = gameRooms[roomId];
+        if (room.status !== 'active') return;
+        
         let respondingPlayer = null;
         let opponentId = null;
         
@@ -573,9 +2788,13 @@ io.on('connection', (socket) => {
             return; // Only players can respond to draws
         }
         
-        if (response.accepted) {
+        // Only an offer made by the opponent can be answered
+        if (!room.drawOffer || room.drawOffer === respondingPlayer) return;
+        room.drawOffer = null;
+        
+        if (response && response.accepted) {
             // Draw accepted - end the game
-            io.to(roomId).emit('gameEnd', { 
+            endGame(roomId, room, { 
                 type: 'draw_agreement', 
                 winner: null,
                 message: 'Draw accepted by mutual agreement'
@@ -589,9 +2808,126 @@ io.on('connection', (socket) => {
             console.log(`Draw declined by ${respondingPlayer} in room ${roomId}`);
         }
     });
+
+    // Takebacks: a player asks to undo their last move (and the opponent's
+    // reply if there was one); the opponent accepts or declines
+    socket.on('requestTakeback', () => {
+        const roomId = socket.roomId;
+        if (!roomId || !gameRooms[roomId]) return;
+        
+        const room = gameRooms[roomId];
+        let requestingPlayer = null;
+        let opponentId = null;
+        
+        if (socket.id === room.players.white) {
+            requestingPlayer = 'white';
+            opponentId = room.players.black;
+        } else if (socket.id === room.players.black) {
+            requestingPlayer = 'black';
+            opponentId = room.players.white;
+        } else {
+            return; // Only players can ask for a takeback
+        }
+        
+        if (room.status !== 'active') {
+            socket.emit('takebackError', 'The game is not in progress');
+            return;
+        }
+        if (!room.takebacks) {
+            socket.emit('takebackError', 'Takebacks are not allowed in this game');
+            return;
+        }
+        if (!opponentId) {
+            socket.emit('takebackError', 'No opponent to ask');
+            return;
+        }
+        
+        const plies = getTakebackPlies(room, requestingPlayer);
+        if (plies === 0) {
+            socket.emit('takebackError', 'You have no move to take back');
+            return;
+        }
+        
+        // The computer always lets you try again
+        if (opponentId === COMPUTER_PLAYER) {
+            takeBackMoves(roomId, room, plies);
+            return;
+        }
+        
+        room.takebackOffer = { from: requestingPlayer, plies };
+        io.to(opponentId).emit('takebackRequestReceived', { from: requestingPlayer, plies });
+        socket.emit('takebackRequestSent');
+        
+        console.log(`${requestingPlayer} asked for a takeback in room ${roomId}`);
+    });
+
+    socket.on('respondToTakeback', (response) => {
+        const roomId = socket.roomId;
+        if (!roomId || !gameRooms[roomId]) return;
+        
+        const room = gameRooms[roomId];
+        if (room.status !== 'active') return;
+        
+        let respondingPlayer = null;
+        let opponentId = null;
+        
+        if (socket.id === room.players.white) {
+            respondingPlayer = 'white';
+            opponentId = room.players.black;
+        } else if (socket.id === room.players.black) {
+            respondingPlayer = 'black';
+            opponentId = room.players.white;
+        } else {
+            return; // Only players can respond to takebacks
+        }
+        
+        // Only a request made by the opponent can be answered
+        const offer = room.takebackOffer;
+        if (!offer || offer.from === respondingPlayer) return;
+        room.takebackOffer = null;
+        
+        if (response && response.accepted) {
+            takeBackMoves(roomId, room, offer.plies);
+            console.log(`Takeback of ${offer.plies} move(s) accepted in room ${roomId}`);
+        } else {
+            if (opponentId) {
+                io.to(opponentId).emit('takebackDeclined', { by: respondingPlayer });
+            }
+            console.log(`Takeback declined by ${respondingPlayer} in room ${roomId}`);
+        }
+    });
 });
 
-server.listen(3000, () => {
-    console.log('server is running on port 3000');
+// Reload stored rooms before accepting connections
+gameStore.init()
+    .then(({ rooms, sessions, users, tournaments: storedTournaments }) => {
+        accounts.load(users);
+        storedTournaments.forEach(record => {
+            tournaments[record.id] = record;
+        });
+        rooms.forEach(record => {
+            const room = restoreRoom(record);
+            gameRooms[record.roomId] = room;
+            scheduleFlagCheck(record.roomId, room);
+            scheduleComputerMove(record.roomId, room);
+        });
+        playerSessions = sessions;
+        gameStore.listArchivedGames().forEach(record => explorer.addGame(record));
+        console.log(`Restored ${rooms.length} room(s) and ${storedTournaments.length} tournament(s) from storage`);
+    })
+    .catch(error => {
+        console.error('Failed to load stored games:', error.message);
+    })
+    .then(() => {
+        server.listen(3000, () => {
+            console.log('server is running on port 3000');
+        });
+    });
+
+// Make sure queued writes reach the disk before exiting
+['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.on(signal, () => {
+        gameStore.flush().then(() => process.exit(0));
+    });
 });
 
@@ -0,0 +1,269 @@
+// Post-game analysis page
+// Polls the server until the engine has gone through the game, then lets the
+// user step through it with the evaluation, best move and move classification.
+
+const PIECE_SYMBOLS = {
+    'K': '♔', 'Q': '♕', 'R': '♖', 'B': '♗', 'N': '♘', 'P': '♙',
+    'k': '♚', 'q': '♛', 'r': '♜', 'b': '♝', 'n': '♞', 'p': '♟'
+};
+
+const CLASSIFICATION_SYMBOLS = { inaccuracy: '?!', mistake: '?', blunder: '??' };
+const GRAPH_CAP = 1000;      // Centipawns shown at the top and bottom edge of the graph
+const POLL_INTERVAL = 1500;
+
+let analysis = null;
+let currentPly = 0;
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('firstMoveBtn').addEventListener('click', () => showPly(0));
+    document.getElementById('prevMoveBtn').addEventListener('click', () => showPly(currentPly - 1));
+    document.getElementById('nextMoveBtn').addEventListener('click', () => showPly(currentPly + 1));
+    document.getElementById('lastMoveBtn').addEventListener('click', () => showPly(analysis.moves.length));
+
+    document.addEventListener('keydown', (event) => {
+        if (!analysis) return;
+        if (event.key === 'ArrowLeft') showPly(currentPly - 1);
+        if (event.key === 'ArrowRight') showPly(currentPly + 1);
+        if (event.key === 'Home') showPly(0);
+        if (event.key === 'End') showPly(analysis.moves.length);
+    });
+
+    document.getElementById('evalGraph').addEventListener('click', (event) => {
+        if (!analysis || analysis.moves.length === 0) return;
+        const rect = event.currentTarget.getBoundingClientRect();
+        const fraction = (event.clientX - rect.left) / rect.width;
+        showPly(Math.round(fraction * analysis.moves.length));
+    });
+
+    fetchAnalysis();
+});
+
+async function fetchAnalysis() {
+    const statusElement = document.getElementById('analysisStatus');
+
+    try {
+        const response = await fetch(`/api/analysis/${encodeURIComponent(window.analysisConfig.gameId)}`);
+        const data = await response.json();
+
+        if (response.status === 202) {
+            const { done, total } = data.progress;
+            statusElement.textContent = total > 0
+                ? `Analysing game... ${Math.round(done / total * 100)}%`
+                : 'Analysing game...';
+            setTimeout(fetchAnalysis, POLL_INTERVAL);
+            return;
+        }
+        if (!response.ok) {
+            statusElement.textContent = data.error || 'Analysis failed';
+            return;
+        }
+
+        analysis = data.analysis;
+        statusElement.classList.add('hidden');
+        document.getElementById('analysisView').classList.remove('hidden');
+        renderSummary();
+        renderMoveList();
+        renderGraph();
+        showPly(analysis.moves.length);
+    } catch (error) {
+        console.error('Failed to load analysis:', error);
+        statusElement.textContent = 'Could not load the analysis, retrying...';
+        setTimeout(fetchAnalysis, POLL_INTERVAL * 2);
+    }
+}
+
+// Evaluation text from White's point of view, e.g. "+1.25", "-0.40", "M3", "#"
+function formatEvaluation(score, mate) {
+    if (mate === 0) return '#';
+    if (mate !== null) return `${score > 0 ? '' : '-'}M${Math.ceil(Math.abs(mate))}`;
+    return `${score > 0 ? '+' : ''}${(score / 100).toFixed(2)}`;
+}
+
+function getEvaluationAt(ply) {
+    return ply === 0
+        ? analysis.initialEvaluation
+        : { score: analysis.moves[ply - 1].evaluation, mate: analysis.moves[ply - 1].mate };
+}
+
+function showPly(ply) {
+    if (!analysis) return;
+    currentPly = Math.max(0, Math.min(analysis.moves.length, ply));
+
+    const move = currentPly > 0 ? analysis.moves[currentPly - 1] : null;
+    renderBoard(move ? move.fen : analysis.startFen, move);
+    renderPositionInfo(move);
+
+    document.querySelectorAll('.move-cell').forEach(cell => {
+        cell.classList.toggle('current', Number(cell.dataset.ply) === currentPly);
+    });
+    const current = document.querySelector('.move-cell.current');
+    if (current) current.scrollIntoView({ block: 'nearest' });
+
+    const marker = document.getElementById('evalGraphMarker');
+    if (marker) {
+        const x = graphX(currentPly);
+        marker.setAttribute('x1', x);
+        marker.setAttribute('x2', x);
+    }
+}
+
+function renderBoard(fen, move) {
+    const board = document.getElementById('analysisBoard');
+    const rows = fen.split(' ')[0].split('/');
+    board.innerHTML = '';
+
+    rows.forEach((row, rowIndex) => {
+        let fileIndex = 0;
+        for (const char of row) {
+            const empty = parseInt(char, 10);
+            const pieces = isNaN(empty) ? [char] : new Array(empty).fill(null);
+
+            pieces.forEach(piece => {
+                const square = 'abcdefgh'[fileIndex] + (8 - rowIndex);
+                const squareElement = document.createElement('div');
+                squareElement.className = `square ${(rowIndex + fileIndex) % 2 === 0 ? 'light' : 'dark'}`;
+                if (move && (square === move.from || square === move.to)) {
+                    squareElement.classList.add('last-move');
+                }
+
+                if (piece) {
+                    const pieceElement = document.createElement('div');
+                    pieceElement.className = `piece ${piece === piece.toUpperCase() ? 'white' : 'black'}`;
+                    pieceElement.textContent = PIECE_SYMBOLS[piece];
+                    squareElement.appendChild(pieceElement);
+                }
+
+                board.appendChild(squareElement);
+                fileIndex++;
+            });
+        }
+    });
+}
+
+function renderPositionInfo(move) {
+    const info = document.getElementById('positionInfo');
+    const evaluation = getEvaluationAt(currentPly);
+    info.innerHTML = '';
+
+    const lines = [];
+    if (move) {
+        const number = `${Math.ceil(move.ply / 2)}${move.color === 'w' ? '.' : '...'}`;
+        const label = move.classification ? ` ${CLASSIFICATION_SYMBOLS[move.classification]} (${move.classification})` : '';
+        lines.push(`${number} ${move.san}${label}`);
+        if (move.bestMove && move.bestMove !== move.san) {
+            lines.push(`Best was ${move.bestMove}`);
+        }
+    } else {
+        lines.push('Starting position');
+    }
+    lines.push(`Evaluation: ${formatEvaluation(evaluation.score, evaluation.mate)}`);
+
+    lines.forEach(text => {
+        const line = document.createElement('div');
+        line.textContent = text;
+        info.appendChild(line);
+    });
+}
+
+function renderSummary() {
+    const body = document.getElementById('analysisSummary');
+    body.innerHTML = '';
+
+    ['white', 'black'].forEach(color => {
+        const summary = analysis.summary[color];
+        const row = document.createElement('tr');
+        [color.charAt(0).toUpperCase() + color.slice(1), summary.averageLoss, summary.inaccuracy, summary.mistake, summary.blunder]
+            .forEach((value, index) => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                if (index === 0) cell.className = 'text-left';
+                row.appendChild(cell);
+            });
+        body.appendChild(row);
+    });
+}
+
+function renderMoveList() {
+    const list = document.getElementById('analysisMoves');
+    list.innerHTML = '';
+
+    let row = null;
+    analysis.moves.forEach(move => {
+        if (move.color === 'w' || !row) {
+            row = document.createElement('div');
+            row.className = 'grid grid-cols-[3rem_1fr_1fr] gap-1';
+            const number = document.createElement('span');
+            number.className = 'text-gray-400';
+            number.textContent = `${Math.ceil(move.ply / 2)}.`;
+            row.appendChild(number);
+            if (move.color === 'b') row.appendChild(document.createElement('span'));
+            list.appendChild(row);
+        }
+
+        const cell = document.createElement('span');
+        cell.className = 'move-cell';
+        if (move.classification) cell.classList.add(`move-${move.classification}`);
+        cell.dataset.ply = move.ply;
+        cell.textContent = move.san + (move.classification ? CLASSIFICATION_SYMBOLS[move.classification] : '');
+        cell.title = formatEvaluation(move.evaluation, move.mate);
+        cell.addEventListener('click', () => showPly(move.ply));
+        row.appendChild(cell);
+    });
+}
+
+function graphX(ply) {
+    return analysis.moves.length > 0 ? ply / analysis.moves.length * 400 : 0;
+}
+
+// Map a White-POV evaluation to a y coordinate: White advantage is up
+function graphY(score, mate) {
+    const capped = mate !== null
+        ? (score > 0 ? GRAPH_CAP : -GRAPH_CAP)
+        : Math.max(-GRAPH_CAP, Math.min(GRAPH_CAP, score));
+    return 60 - capped / GRAPH_CAP * 58;
+}
+
+function renderGraph() {
+    const svg = document.getElementById('evalGraph');
+    const ns = 'http://www.w3.org/2000/svg';
+    svg.innerHTML = '';
+
+    const points = [];
+    for (let ply = 0; ply <= analysis.moves.length; ply++) {
+        const evaluation = getEvaluationAt(ply);
+        points.push(`${graphX(ply)},${graphY(evaluation.score, evaluation.mate)}`);
+    }
+
+    // White's share of the graph is filled from the bottom up to the curve
+    const area = document.createElementNS(ns, 'polygon');
+    area.setAttribute('points', `0,120 ${points.join(' ')} 400,120`);
+    area.setAttribute('fill', 'rgba(255, 255, 255, 0.85)');
+    svg.appendChild(area);
+
+    const axis = document.createElementNS(ns, 'line');
+    axis.setAttribute('x1', 0);
+    axis.setAttribute('x2', 400);
+    axis.setAttribute('y1', 60);
+    axis.setAttribute('y2', 60);
+    axis.setAttribute('stroke', '#6b7280');
+    axis.setAttribute('stroke-dasharray', '4 4');
+    svg.appendChild(axis);
+
+    analysis.moves.forEach(move => {
+        if (!move.classification || move.classification === 'inaccuracy') return;
+        const dot = document.createElementNS(ns, 'circle');
+        dot.setAttribute('cx', graphX(move.ply));
+        dot.setAttribute('cy', graphY(move.evaluation, move.mate));
+        dot.setAttribute('r', 3);
+        dot.setAttribute('fill', move.classification === 'blunder' ? '#f87171' : '#fb923c');
+        svg.appendChild(dot);
+    });
+
+    const marker = document.createElementNS(ns, 'line');
+    marker.id = 'evalGraphMarker';
+    marker.setAttribute('y1', 0);
+    marker.setAttribute('y2', 120);
+    marker.setAttribute('stroke', '#f59e0b');
+    marker.setAttribute('stroke-width', 2);
+    svg.appendChild(marker);
+}
@@ -1,9 +1,11 @@
 // Simplified Chess Game - Click-to-Move Only
 // Reliable, clean implementation without excessive fallbacks
 
-// Socket.IO connection with simple error handling
+// Socket.IO connection with simple error handling. The replay view of an
+// archived game never connects.
 const socket = io({
     transports: ['websocket', 'polling'],
+    autoConnect: !(window.gameConfig && window.gameConfig.replay),
     reconnection: true,
     reconnectionDelay: 1000,
     reconnectionAttempts: 3
@@ -16,6 +18,34 @@ let selectedSquare = null;
 let playerRole = null;
 let roomId = null;
 let lastMove = null;
+let clockState = null;
+let clockInterval = null;
+let moveDeadline = null;     // Correspondence games: when the side to move forfeits
+let deadlineInterval = null;
+let gameState = { status: 'waiting', result: null };
+let matchScore = null;
+let inviteToken = null;
+let roomPassword = null;
+let moveList = [];        // Server move history: { move (SAN), color, timestamp, timeSpent }
+let startFen = null;      // Position the room's game started from
+let viewedPly = null;     // Ply shown while browsing earlier positions, null when following the live game
+let pendingPromotion = null; // { from, to } while the promotion picker is open
+let dragState = null;        // Piece being dragged: { from, pointerId, startX, startY, origin, ghost }
+let suppressNextClick = false;
+let premoves = [];           // Moves queued during the opponent's turn: { from, to, promotion }
+let unconfirmedFen = null;   // Position before our own move that the server has not echoed yet
+let takebacksAllowed = true;
+let tournamentGame = false;  // Tournament games have no rematch or computer opponent
+let variant = 'standard';    // Room variant from roomInfo: standard, chess960, kingOfTheHill or threeCheck
+let Chess960 = null;         // chess.js with 960 castling, built once chess.js has loaded
+let chatLog = [];            // Messages of both chat channels we are allowed to see
+let chatChannel = 'players'; // Channel shown in the chat box
+let chatSettings = { players: true, spectators: true };
+let chatSenderId = null;     // Our own chat identity, so our messages get no report/block buttons
+let chatModeration = null;   // { mutes, reports }, only sent to the room owner
+let blockedSenders = new Set(); // Chat sender ids whose messages we hide
+let replayGameId = null;     // Archived game shown instead of a live room
+let opening = null;          // { eco, name } of the book position the game reached last
 
 // Piece Unicode mapping
 const PIECE_SYMBOLS = {
@@ -23,6 +53,17 @@ const PIECE_SYMBOLS = {
     'k': '♚', 'q': '♛', 'r': '♜', 'b': '♝', 'n': '♞', 'p': '♟'
 };
 
+const PIECE_VALUES = { p: 1, n: 3, b: 3, r: 5, q: 9, k: 0 };
+const HILL_SQUARES = ['d4', 'e4', 'd5', 'e5']; // King of the Hill goal squares
+const DRAG_THRESHOLD = 4; // Pixels the pointer must travel before a press becomes a drag
+const BLOCKED_SENDERS_KEY = 'chessBlockedChatUsers'; // localStorage key for personally blocked chat users
+const PROMOTION_CHOICES = [
+    { type: 'q', name: 'Queen' },
+    { type: 'r', name: 'Rook' },
+    { type: 'b', name: 'Bishop' },
+    { type: 'n', name: 'Knight' }
+];
+
 // Initialize the game when DOM and Chess library are ready
 document.addEventListener('DOMContentLoaded', () => {
     // Wait for chess library to be available
@@ -44,6 +85,8 @@ function initializeGame() {
     const config = window.gameConfig || {};
     roomId = config.room;
     playerRole = config.role;
+    inviteToken = config.invite || null;
+    replayGameId = config.replay || null;
     
     // Find board element
     boardElement = document.querySelector('.chessboard') || document.getElementById('chessboard');
@@ -62,8 +105,12 @@ function initializeGame() {
         chess = new Chess();
         renderBoard();
         setupEventListeners();
-        joinRoom();
-        initializeChat();
+        if (replayGameId) {
+            loadReplay();
+        } else {
+            joinRoom();
+            initializeChat();
+        }
         removeDebugPanel();
     } catch (error) {
         showError('Failed to initialize chess game: ' + error.message);
@@ -74,7 +121,11 @@ function renderBoard() {
     if (!chess || !boardElement) return;
     
     boardElement.innerHTML = '';
-    const board = chess.board();
+    const viewed = viewedPly !== null ? replayMoves(viewedPly) : null;
+    const board = viewed ? viewed.position.board() : getProjectedBoard();
+    const highlightedMove = viewed ? viewed.move : lastMove;
+    renderCapturedPieces((viewed || replayMoves(moveList.length)).captured, viewed ? board : chess.board());
+    boardElement.classList.toggle('viewing-history', viewed !== null);
     
     // Determine if board should be flipped (black player sees from their perspective)
     const isFlipped = (playerRole === 'black');
@@ -87,10 +138,30 @@ function renderBoard() {
             const displayCol = isFlipped ? (7 - col) : col;
             
             const square = createSquare(displayRow, displayCol, board[displayRow][displayCol]);
+            if (highlightedMove && (square.dataset.square === highlightedMove.from || square.dataset.square === highlightedMove.to)) {
+                square.classList.add('last-move');
+            }
+            if (!viewed && premoves.some(premove => premove.from === square.dataset.square || premove.to === square.dataset.square)) {
+                square.classList.add('premove');
+            }
+            if (variant === 'kingOfTheHill' && HILL_SQUARES.includes(square.dataset.square)) {
+                square.classList.add('hill');
+            }
             boardElement.appendChild(square);
         }
     }
     
+    if (viewedPly === null) {
+        // Keep a selection made before the board was redrawn
+        if (selectedSquare) {
+            highlightSquare(selectedSquare, 'selected');
+            highlightTargets(selectedSquare);
+        }
+        if (pendingPromotion) {
+            showPromotionPicker();
+        }
+    }
+    
     updateGameStatus();
 }
 
@@ -123,8 +194,9 @@ function createPiece(piece, square) {
     pieceElement.dataset.piece = piece.type;
     pieceElement.dataset.color = piece.color;
     
-    // Make piece non-draggable (click-only)
+    // Native HTML5 drag stays off; pointer events drive dragging so mouse and touch behave alike
     pieceElement.draggable = false;
+    pieceElement.addEventListener('pointerdown', (event) => startDrag(event, square, pieceElement));
     // Allow piece to receive click events - clicks will bubble up to square
     
     return pieceElement;
@@ -133,8 +205,30 @@ function createPiece(piece, square) {
 function handleSquareClick(squareName) {
     console.log('🖱️ Square clicked:', squareName, 'Player role:', playerRole, 'Current turn:', chess ? chess.turn() : 'none');
     
+    if (gameState.status !== 'active') {
+        const message = gameState.status === 'finished' ? 'The game is over' : 'Waiting for an opponent';
+        showNotification('⚠️', message, 'warning');
+        return;
+    }
+    
+    // A click anywhere on the board closes an open promotion picker
+    if (pendingPromotion) {
+        clearSelection();
+        return;
+    }
+    
+    // Moves are only made on the live position
+    if (viewedPly !== null) {
+        showPly(moveList.length);
+        return;
+    }
+    
     if (!chess || !isPlayerTurn()) {
-        showNotification('⚠️', 'Not your turn', 'warning');
+        if (isSeatedPlayer()) {
+            handlePremoveClick(squareName);
+        } else {
+            showNotification('⚠️', 'Not your turn', 'warning');
+        }
         return;
     }
     
@@ -165,7 +259,7 @@ function selectSquare(squareName) {
     
     selectedSquare = squareName;
     highlightSquare(squareName, 'selected');
-    highlightValidMoves(squareName);
+    highlightTargets(squareName);
 }
 
 // Helper function to get piece at square (compatible with chess.js beta)
@@ -176,7 +270,7 @@ function getPieceAt(squareName) {
     const file = squareName.charCodeAt(0) - 97; // 'a' = 0, 'b' = 1, etc.
     const rank = 8 - parseInt(squareName[1]); // '8' = 0, '7' = 1, etc.
     
-    const board = chess.board();
+    const board = getProjectedBoard();
     if (board && board[rank] && board[rank][file]) {
         return board[rank][file];
     }
@@ -187,13 +281,30 @@ function getPieceAt(squareName) {
 function attemptMove(from, to) {
     console.log('🎯 Attempting move:', from, '→', to);
     
+    // A pawn reaching the last rank waits for the player to pick a piece
+    const candidates = chess.moves({ square: from, verbose: true }).filter(move => move.to === to);
+    if (candidates.some(move => move.promotion)) {
+        clearSelection();
+        pendingPromotion = { from, to };
+        showPromotionPicker();
+        return;
+    }
+    
+    completeMove(from, to);
+}
+
+function completeMove(from, to, promotion) {
+    const moveData = promotion ? { from, to, promotion } : { from, to };
+    const fenBefore = chess.fen();
+    
     try {
-        const move = chess.move({ from, to, promotion: 'q' }); // Auto-promote to queen
+        const move = chess.move(moveData);
         
         if (move) {
             console.log('✅ Move valid, sending to server:', move);
             // Valid move - send to server
-            socket.emit('move', { from, to, promotion: 'q' });
+            socket.emit('move', moveData);
+            unconfirmedFen = fenBefore;
             lastMove = { from, to };
             clearSelection();
             renderBoard();
@@ -211,8 +322,317 @@ function attemptMove(from, to) {
     }
 }
 
+// Column of Q/R/B/N over the promotion square, growing towards the middle of the board
+function showPromotionPicker() {
+    hidePromotionPicker();
+    
+    const target = boardElement && boardElement.querySelector(`[data-square="${pendingPromotion.to}"]`);
+    if (!target) return;
+    
+    const picker = document.createElement('div');
+    picker.id = 'promotionPicker';
+    picker.className = 'promotion-picker';
+    picker.setAttribute('role', 'dialog');
+    picker.setAttribute('aria-label', 'Choose a promotion piece');
+    
+    const growsUp = target.offsetTop > boardElement.clientHeight / 2;
+    const choices = growsUp ? PROMOTION_CHOICES.slice().reverse() : PROMOTION_CHOICES;
+    picker.style.left = `${target.offsetLeft}px`;
+    picker.style.top = `${growsUp ? target.offsetTop - 3 * target.offsetHeight : target.offsetTop}px`;
+    picker.style.width = `${target.offsetWidth}px`;
+    
+    const colorClass = playerRole === 'black' ? 'black' : 'white';
+    choices.forEach(({ type, name }) => {
+        const option = document.createElement('button');
+        option.type = 'button';
+        option.className = `promotion-option ${colorClass}`;
+        option.style.height = `${target.offsetHeight}px`;
+        option.textContent = PIECE_SYMBOLS[type.toUpperCase()];
+        option.title = name;
+        option.setAttribute('aria-label', `Promote to ${name.toLowerCase()}`);
+        option.addEventListener('click', () => choosePromotion(type));
+        picker.appendChild(option);
+    });
+    
+    boardElement.appendChild(picker);
+}
+
+function hidePromotionPicker() {
+    const picker = document.getElementById('promotionPicker');
+    if (picker) picker.remove();
+}
+
+function choosePromotion(type) {
+    if (!pendingPromotion) return;
+    
+    const { from, to, premove } = pendingPromotion;
+    pendingPromotion = null;
+    hidePromotionPicker();
+    if (premove) {
+        addPremove(from, to, type);
+    } else {
+        completeMove(from, to, type);
+    }
+}
+
+// Drag and drop: a press on one of our pieces becomes a drag once the pointer
+// moves; a press that does not move falls through to the click-to-move flow
+function canDragFrom(squareName) {
+    if (gameState.status !== 'active' || viewedPly !== null || pendingPromotion) return false;
+    return isSeatedPlayer() && isOwnPiece(getPieceAt(squareName));
+}
+
+function startDrag(event, squareName, pieceElement) {
+    if (dragState || event.button !== 0 || !canDragFrom(squareName)) return;
+    
+    event.preventDefault(); // No text selection or touch scrolling while dragging
+    dragState = {
+        from: squareName,
+        pointerId: event.pointerId,
+        startX: event.clientX,
+        startY: event.clientY,
+        origin: pieceElement,
+        ghost: null
+    };
+}
+
+function handleDragMove(event) {
+    if (!dragState || event.pointerId !== dragState.pointerId) return;
+    
+    if (!dragState.ghost) {
+        const distance = Math.hypot(event.clientX - dragState.startX, event.clientY - dragState.startY);
+        if (distance < DRAG_THRESHOLD) return;
+        
+        // The drag starts: show the same highlights as a click selection
+        clearSelection();
+        selectedSquare = dragState.from;
+        highlightSquare(dragState.from, 'selected');
+        highlightTargets(dragState.from);
+        
+        const rect = dragState.origin.getBoundingClientRect();
+        const ghost = dragState.origin.cloneNode(true);
+        ghost.classList.add('dragging', 'drag-ghost');
+        ghost.style.width = `${rect.width}px`;
+        ghost.style.height = `${rect.height}px`;
+        document.body.appendChild(ghost);
+        dragState.ghost = ghost;
+        dragState.origin.classList.add('drag-origin');
+    }
+    
+    const ghost = dragState.ghost;
+    ghost.style.left = `${event.clientX - ghost.offsetWidth / 2}px`;
+    ghost.style.top = `${event.clientY - ghost.offsetHeight / 2}px`;
+}
+
+function handleDragEnd(event) {
+    if (!dragState || event.pointerId !== dragState.pointerId) return;
+    
+    const { from, ghost, origin } = dragState;
+    dragState = null;
+    if (!ghost) return; // Never left the threshold: treat it as a click
+    
+    ghost.remove();
+    origin.classList.remove('drag-origin');
+    
+    // The click that follows the pointerup must not undo the drop
+    suppressNextClick = true;
+    setTimeout(() => { suppressNextClick = false; }, 0);
+    
+    const dropElement = event.type === 'pointerup' ? document.elementFromPoint(event.clientX, event.clientY) : null;
+    const dropSquare = dropElement && dropElement.closest('[data-square]');
+    const to = dropSquare ? dropSquare.dataset.square : null;
+    
+    // Dropping back on the start square keeps the piece selected for click-to-move
+    if (to === from) return;
+    
+    if (!isPlayerTurn()) {
+        if (to && isPremoveTarget(from, to)) {
+            queuePremove(from, to);
+        } else {
+            clearSelection();
+        }
+        return;
+    }
+    
+    const isLegal = to && chess.moves({ square: from, verbose: true }).some(move => move.to === to);
+    if (isLegal) {
+        attemptMove(from, to);
+    } else {
+        clearSelection(); // Snap back
+    }
+}
+
+// Premoves: while the opponent thinks, moves are queued on a projected board
+// where earlier premoves have already been played. Targets follow how each
+// piece moves, ignoring pieces in the way; legality is checked when a premove
+// is played.
+function isSeatedPlayer() {
+    return playerRole === 'white' || playerRole === 'black';
+}
+
+function squareToCoords(squareName) {
+    return [8 - parseInt(squareName[1], 10), squareName.charCodeAt(0) - 97];
+}
+
+function getProjectedBoard() {
+    const board = chess.board().map(row => row.slice());
+    
+    premoves.forEach(({ from, to, promotion }) => {
+        const [fromRow, fromCol] = squareToCoords(from);
+        const [toRow, toCol] = squareToCoords(to);
+        const piece = board[fromRow][fromCol];
+        if (!piece) return;
+        
+        // Chess960 castling: the king moves onto its own rook and both land on the c/d or g/f files
+        const target = board[toRow][toCol];
+        if (piece.type === 'k' && target && target.type === 'r' && target.color === piece.color) {
+            const kingside = toCol > fromCol;
+            board[fromRow][fromCol] = null;
+            board[toRow][toCol] = null;
+            board[toRow][kingside ? 6 : 2] = piece;
+            board[toRow][kingside ? 5 : 3] = target;
+            return;
+        }
+        
+        board[fromRow][fromCol] = null;
+        board[toRow][toCol] = promotion ? { ...piece, type: promotion } : piece;
+        
+        // Castling also brings the rook across
+        if (variant !== 'chess960' && piece.type === 'k' && Math.abs(toCol - fromCol) === 2) {
+            const rookFrom = toCol > fromCol ? 7 : 0;
+            const rookTo = toCol > fromCol ? 5 : 3;
+            board[toRow][rookTo] = board[toRow][rookFrom];
+            board[toRow][rookFrom] = null;
+        }
+    });
+    
+    return board;
+}
+
+// Chess960 castling is queued as the king moving onto a rook it may still castle with
+function isChess960CastlingPremove(piece, from, to) {
+    if (variant !== 'chess960' || piece.type !== 'k' || typeof chess.castlingRooks !== 'function') return false;
+    
+    const homeRank = piece.color === 'w' ? '1' : '8';
+    const rooks = chess.castlingRooks()[piece.color];
+    return from[1] === homeRank && to[1] === homeRank && (to[0] === rooks.k || to[0] === rooks.q);
+}
+
+function isPremoveTarget(from, to) {
+    const piece = getPieceAt(from);
+    const target = getPieceAt(to);
+    if (!piece || from === to) return false;
+    if (target && target.color === piece.color) {
+        return isChess960CastlingPremove(piece, from, to);
+    }
+    
+    const [fromRow, fromCol] = squareToCoords(from);
+    const [toRow, toCol] = squareToCoords(to);
+    const rowDelta = toRow - fromRow;
+    const colDelta = Math.abs(toCol - fromCol);
+    const rowDistance = Math.abs(rowDelta);
+    
+    switch (piece.type) {
+    case 'p': {
+        const forward = piece.color === 'w' ? -1 : 1;
+        const startRow = piece.color === 'w' ? 6 : 1;
+        if (rowDelta === forward) return colDelta <= 1;
+        return colDelta === 0 && rowDelta === 2 * forward && fromRow === startRow;
+    }
+    case 'n':
+        return rowDistance * colDelta === 2;
+    case 'b':
+        return rowDistance === colDelta;
+    case 'r':
+        return rowDistance === 0 || colDelta === 0;
+    case 'q':
+        return rowDistance === colDelta || rowDistance === 0 || colDelta === 0;
+    case 'k': {
+        const homeRow = piece.color === 'w' ? 7 : 0;
+        const castles = variant !== 'chess960' && rowDistance === 0 && colDelta === 2 && fromRow === homeRow && fromCol === 4;
+        return (rowDistance <= 1 && colDelta <= 1) || castles;
+    }
+    default:
+        return false;
+    }
+}
+
+function highlightTargets(squareName) {
+    if (isPlayerTurn()) {
+        highlightValidMoves(squareName);
+        return;
+    }
+    
+    document.querySelectorAll('[data-square]').forEach(square => {
+        if (isPremoveTarget(squareName, square.dataset.square)) {
+            square.classList.add(getPieceAt(square.dataset.square) ? 'valid-capture' : 'valid-move');
+        }
+    });
+}
+
+function handlePremoveClick(squareName) {
+    if (selectedSquare && selectedSquare !== squareName && isPremoveTarget(selectedSquare, squareName)) {
+        queuePremove(selectedSquare, squareName);
+        return;
+    }
+    
+    const reselect = selectedSquare !== squareName;
+    clearSelection();
+    if (reselect) {
+        selectSquare(squareName);
+    }
+}
+
+// A pawn premoved to the last rank asks for its promotion piece first
+function queuePremove(from, to) {
+    const piece = getPieceAt(from);
+    clearSelection();
+    
+    const lastRank = piece.color === 'w' ? '8' : '1';
+    if (piece.type === 'p' && to[1] === lastRank) {
+        pendingPromotion = { from, to, premove: true };
+        showPromotionPicker();
+        return;
+    }
+    
+    addPremove(from, to);
+}
+
+function addPremove(from, to, promotion) {
+    premoves.push(promotion ? { from, to, promotion } : { from, to });
+    renderBoard();
+}
+
+function cancelPremoves() {
+    if (premoves.length === 0) return;
+    
+    premoves = [];
+    clearSelection();
+    renderBoard();
+}
+
+// Called when the opponent's move makes it our turn
+function playNextPremove() {
+    if (premoves.length === 0 || !isPlayerTurn() || gameState.status !== 'active') return;
+    
+    const next = premoves.shift();
+    const isLegal = chess.moves({ square: next.from, verbose: true }).some(move =>
+        move.to === next.to && (move.promotion || null) === (next.promotion || null));
+    
+    if (!isLegal) {
+        premoves = [];
+        renderBoard();
+        showNotification('↩️', 'Premove cancelled - no longer legal', 'warning');
+        return;
+    }
+    
+    completeMove(next.from, next.to, next.promotion);
+}
+
 function clearSelection() {
     selectedSquare = null;
+    pendingPromotion = null;
+    hidePromotionPicker();
     // Remove all highlights
     document.querySelectorAll('.square').forEach(square => {
         square.classList.remove('selected', 'valid-move', 'valid-capture');
@@ -262,24 +682,15 @@ function updateGameStatus() {
     let status = 'Game in progress';
     let turn = '';
     
-    // Use game_over() for compatibility with chess.js v1.0.0-beta
-    if (chess.game_over && chess.game_over()) {
-        if (chess.in_checkmate && chess.in_checkmate()) {
-            const winner = chess.turn() === 'w' ? 'Black' : 'White';
-            status = `Checkmate! ${winner} wins!`;
-        } else if (chess.in_stalemate && chess.in_stalemate()) {
-            status = 'Stalemate - Draw!';
-        } else if (chess.in_threefold_repetition && chess.in_threefold_repetition()) {
-            status = 'Draw by threefold repetition!';
-        } else if (chess.insufficient_material && chess.insufficient_material()) {
-            status = 'Draw by insufficient material!';
-        } else if (chess.in_draw && chess.in_draw()) {
-            status = 'Draw!';
-        }
+    // The server decides when the game is over
+    if (gameState.status === 'finished') {
+        status = describeResult(gameState.result);
+    } else if (gameState.status === 'waiting') {
+        status = 'Waiting for opponent...';
     } else {
         if (isPlayerTurn()) {
             status = 'Your turn';
-            if (chess.in_check && chess.in_check()) {
+            if (isInCheck()) {
                 status += ' - You are in check!';
             }
         } else {
@@ -295,131 +706,922 @@ function updateGameStatus() {
     }
 }
 
-function joinRoom() {
-    if (roomId && playerRole) {
-        socket.emit('joinRoom', { roomId, preferredRole: playerRole });
-        
-        // Display room ID in the UI
-        const roomCodeElement = document.getElementById('roomCode');
-        if (roomCodeElement) {
-            roomCodeElement.textContent = roomId;
-        }
+// Works with both the camelCase (v1) and snake_case (v0) chess.js APIs
+function isInCheck() {
+    if (chess.isCheck) return chess.isCheck();
+    return chess.in_check ? chess.in_check() : false;
+}
+
+function describeResult(result) {
+    if (!result) return 'Game over';
+    
+    const winner = result.winner ? result.winner.charAt(0).toUpperCase() + result.winner.slice(1) : null;
+    switch (result.type) {
+        case 'checkmate': return `Checkmate! ${winner} wins!`;
+        case 'resignation': return `${winner} wins by resignation`;
+        case 'timeout': return `${winner} wins on time`;
+        case 'stalemate': return 'Stalemate - Draw!';
+        case 'threefold': return 'Draw by threefold repetition!';
+        case 'insufficient': return 'Draw by insufficient material!';
+        case 'fifty_move': return 'Draw by the fifty-move rule!';
+        case 'draw_agreement': return 'Draw by agreement';
+        case 'king_of_the_hill': return `${winner} wins by reaching the centre!`;
+        case 'three_check': return `${winner} wins by giving three checks!`;
+        default: return result.message || (winner ? `${winner} wins!` : 'Draw!');
     }
 }
 
-function setupEventListeners() {
-    // Game controls
-    const resignBtn = document.getElementById('resignBtn');
-    const drawBtn = document.getElementById('offerDrawBtn');
+// Resign and draw only make sense for a seated player in a running game
+function updateGameControls() {
+    const isPlayer = playerRole === 'white' || playerRole === 'black';
+    const canAct = isPlayer && gameState.status === 'active';
     
-    if (resignBtn) {
-        resignBtn.addEventListener('click', () => {
-            if (confirm('Are you sure you want to resign?')) {
-                socket.emit('resign');
-            }
-        });
+    ['resignBtn', 'offerDrawBtn'].forEach(id => {
+        const button = document.getElementById(id);
+        if (button) button.disabled = !canAct;
+    });
+    
+    const takebackBtn = document.getElementById('takebackBtn');
+    if (takebackBtn) {
+        takebackBtn.classList.toggle('hidden', !(isPlayer && takebacksAllowed) || gameState.status === 'finished');
+        takebackBtn.disabled = !canAct || moveList.length === 0;
     }
     
-    if (drawBtn) {
-        drawBtn.addEventListener('click', () => {
-            if (confirm('Offer a draw to your opponent?')) {
-                socket.emit('offerDraw');
-            }
-        });
+    // Rematch replaces the game controls once the game is over
+    const rematchBtn = document.getElementById('rematchBtn');
+    if (rematchBtn) {
+        rematchBtn.classList.toggle('hidden', !(isPlayer && gameState.status === 'finished') || tournamentGame);
+        rematchBtn.disabled = false;
     }
     
-    // Draw offer modal
-    const acceptBtn = document.getElementById('acceptDrawBtn');
-    const declineBtn = document.getElementById('declineDrawBtn');
+    const analysisBtn = document.getElementById('analysisBtn');
+    if (analysisBtn) {
+        analysisBtn.classList.toggle('hidden', gameState.status !== 'finished');
+    }
     
-    if (acceptBtn) {
-        acceptBtn.addEventListener('click', () => {
-            socket.emit('respondToDraw', { accepted: true });
-            hideDrawOfferModal();
-        });
+    // While waiting for an opponent, a seated player can call in the computer
+    const computerControls = document.getElementById('playComputerControls');
+    if (computerControls) {
+        computerControls.classList.toggle('hidden', !(isPlayer && gameState.status === 'waiting') || tournamentGame);
     }
+}
+
+function renderMatchScore() {
+    const scoreElement = document.getElementById('matchScore');
+    if (!scoreElement || !matchScore) return;
     
-    if (declineBtn) {
-        declineBtn.addEventListener('click', () => {
-            socket.emit('respondToDraw', { accepted: false });
-            hideDrawOfferModal();
-        });
+    if (matchScore.games === 0) {
+        scoreElement.textContent = '-';
+        return;
     }
     
-    // Keyboard shortcuts
-    document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape') {
-            clearSelection();
-        }
-    });
+    const formatPoints = (points) => String(points).replace('.5', '½').replace(/^0½$/, '½');
+    if (playerRole === 'white' || playerRole === 'black') {
+        const opponentRole = playerRole === 'white' ? 'black' : 'white';
+        scoreElement.textContent = `You ${formatPoints(matchScore[playerRole])} - ${formatPoints(matchScore[opponentRole])} Opponent`;
+    } else {
+        scoreElement.textContent = `White ${formatPoints(matchScore.white)} - ${formatPoints(matchScore.black)} Black`;
+    }
 }
 
-// Chat functionality
-function initializeChat() {
-    const chatInput = document.getElementById('chatInput');
-    const sendBtn = document.getElementById('sendChatBtn');
+// A chess.js game for the room's variant; Chess960 adds its own castling
+function createPosition(fen) {
+    if (variant === 'chess960' && typeof createChess960 === 'function') {
+        Chess960 = Chess960 || createChess960(Chess);
+        return new Chess960(fen);
+    }
+    return new Chess(fen);
+}
+
+// Three-Check: checks given so far, counted from the move list
+function updateCheckCount() {
+    const checkCountRow = document.getElementById('checkCountRow');
+    if (!checkCountRow) return;
     
-    if (!chatInput || !sendBtn) return;
+    checkCountRow.classList.toggle('hidden', variant !== 'threeCheck');
+    const checks = { w: 0, b: 0 };
+    moveList.forEach(entry => {
+        if (/[+#]$/.test(entry.move)) checks[entry.color]++;
+    });
+    document.getElementById('checkCountLabel').textContent = `White ${checks.w}/3 - ${checks.b}/3 Black`;
+}
+
+// Move navigation: browse earlier positions without touching the live game.
+// Replays the first `ply` moves and collects the pieces each side captured.
+function replayMoves(ply) {
+    const position = createPosition(startFen || undefined);
+    const captured = { w: [], b: [] };
+    let move = null;
     
-    sendBtn.addEventListener('click', sendChatMessage);
-    chatInput.addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') {
-            e.preventDefault();
-            sendChatMessage();
+    try {
+        for (let i = 0; i < ply; i++) {
+            move = position.move(moveList[i].move);
+            if (move.captured) {
+                captured[move.color].push(move.captured);
+            }
         }
-    });
+    } catch (error) {
+        console.warn('Could not replay move history:', error.message);
+    }
     
-    updateChatPermissions();
+    return { position, move, captured };
 }
 
-function sendChatMessage() {
-    const chatInput = document.getElementById('chatInput');
-    if (!chatInput) return;
-    
-    const message = sanitizeInput(chatInput.value.trim(), 200);
+// Ply 0 is the start position; jumping to the latest ply returns to the live game
+function showPly(ply) {
+    const target = Math.max(0, Math.min(moveList.length, ply));
+    viewedPly = target >= moveList.length ? null : target;
     
-    if (!message) return;
+    clearSelection();
+    renderBoard();
+    renderMoveHistory();
+    updateNavigationControls();
+}
+
+function getCurrentPly() {
+    return viewedPly === null ? moveList.length : viewedPly;
+}
+
+// Full-move number of the move at `index`, taking a custom start position into account
+function getMoveNumber(index) {
+    const fields = (startFen || '').split(' ');
+    const firstNumber = parseInt(fields[5], 10) || 1;
+    const offset = fields[1] === 'b' ? 1 : 0;
+    return firstNumber + Math.floor((index + offset) / 2);
+}
+
+function renderMoveHistory() {
+    const container = document.getElementById('moveHistory');
+    if (!container) return;
     
-    if (playerRole !== 'white' && playerRole !== 'black') {
-        showNotification('⚠️', 'Only players can send messages', 'warning');
+    container.innerHTML = '';
+    if (moveList.length === 0) {
+        const placeholder = document.createElement('div');
+        placeholder.className = 'text-gray-400 text-center';
+        placeholder.textContent = 'No moves yet';
+        container.appendChild(placeholder);
         return;
     }
     
-    socket.emit('chatMessage', { message });
-    chatInput.value = '';
+    // One numbered row per full move: number, White's move, Black's move
+    const currentPly = getCurrentPly();
+    let currentItem = null;
+    let row = null;
+    moveList.forEach((entry, index) => {
+        if (entry.color === 'w' || !row) {
+            row = document.createElement('div');
+            row.className = 'move-row';
+            
+            const number = document.createElement('span');
+            number.className = 'move-number';
+            number.textContent = `${getMoveNumber(index)}.`;
+            row.appendChild(number);
+            
+            // A game started from a Black-to-move position leaves White's cell empty
+            if (entry.color === 'b') {
+                row.appendChild(document.createElement('span'));
+            }
+            container.appendChild(row);
+        }
+        
+        const item = createMoveItem(entry, index + 1);
+        if (index + 1 === currentPly) {
+            item.classList.add('current');
+            currentItem = item;
+        }
+        row.appendChild(item);
+    });
+    
+    // Keep the highlighted move visible without scrolling the page
+    if (currentItem) {
+        const top = currentItem.offsetTop - container.offsetTop;
+        if (top < container.scrollTop || top + currentItem.offsetHeight > container.scrollTop + container.clientHeight) {
+            container.scrollTop = top - container.clientHeight / 2;
+        }
+    }
 }
 
-function updateChatPermissions() {
-    const chatInput = document.getElementById('chatInput');
-    const sendBtn = document.getElementById('sendChatBtn');
-    const chatStatus = document.getElementById('chatStatus');
+function createMoveItem(entry, ply) {
+    const item = document.createElement('span');
+    item.className = 'move-item clickable';
+    item.addEventListener('click', () => showPly(ply));
+    if (entry.timestamp) {
+        item.title = new Date(entry.timestamp).toLocaleTimeString();
+    }
     
-    const canChat = playerRole === 'white' || playerRole === 'black';
+    const notation = document.createElement('span');
+    notation.textContent = entry.move;
+    item.appendChild(notation);
     
-    if (chatInput) chatInput.disabled = !canChat;
-    if (sendBtn) sendBtn.disabled = !canChat;
-    if (chatStatus) {
-        chatStatus.textContent = canChat ? 'Chat enabled' : 'Only players can send messages';
+    if (typeof entry.timeSpent === 'number') {
+        const time = document.createElement('span');
+        time.className = 'move-time';
+        time.textContent = formatMoveTime(entry.timeSpent);
+        item.appendChild(time);
     }
+    
+    return item;
 }
 
-function displayChatMessage(chatMessage) {
-    const chatMessages = document.getElementById('chatMessages');
-    if (!chatMessages) return;
-    
-    const messageElement = document.createElement('div');
-    messageElement.className = 'chat-message mb-2 p-2 rounded';
+// "0.8s", "12s", "1:05"
+function formatMoveTime(ms) {
+    const seconds = ms / 1000;
+    if (seconds < 10) return `${seconds.toFixed(1)}s`;
+    if (seconds < 60) return `${Math.floor(seconds)}s`;
     
-    const roleColor = chatMessage.playerRole === 'white' ? 'text-gray-300' : 'text-gray-400';
-    const roleName = chatMessage.playerRole.charAt(0).toUpperCase() + chatMessage.playerRole.slice(1);
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+}
+
+// Each player's tray shows the pieces they took, plus their material lead
+function renderCapturedPieces(captured, board) {
+    let material = 0; // White minus Black, from the board so promotions count
+    board.forEach(row => row.forEach(piece => {
+        if (piece) material += (piece.color === 'w' ? 1 : -1) * PIECE_VALUES[piece.type];
+    }));
+    
+    [['white', 'w', 'b'], ['black', 'b', 'w']].forEach(([color, code, opponent]) => {
+        const tray = document.getElementById(`${color}Captured`);
+        if (!tray) return;
+        
+        tray.innerHTML = '';
+        captured[code]
+            .slice()
+            .sort((a, b) => PIECE_VALUES[b] - PIECE_VALUES[a])
+            .forEach(type => {
+                const piece = document.createElement('span');
+                piece.className = 'captured-piece';
+                piece.textContent = PIECE_SYMBOLS[opponent === 'w' ? type.toUpperCase() : type];
+                tray.appendChild(piece);
+            });
+        
+        const lead = code === 'w' ? material : -material;
+        if (lead > 0) {
+            const score = document.createElement('span');
+            score.className = 'material-score';
+            score.textContent = `+${lead}`;
+            tray.appendChild(score);
+        }
+    });
+}
+
+function updateNavigationControls() {
+    const currentPly = getCurrentPly();
+    const atStart = currentPly === 0;
+    const isLive = viewedPly === null;
+    
+    const buttons = { navFirstBtn: atStart, navPrevBtn: atStart, navNextBtn: isLive, navLastBtn: isLive };
+    Object.entries(buttons).forEach(([id, disabled]) => {
+        const button = document.getElementById(id);
+        if (button) button.disabled = disabled;
+    });
+    
+    const liveButton = document.getElementById('backToLiveBtn');
+    if (liveButton) {
+        liveButton.classList.toggle('hidden', isLive || Boolean(replayGameId));
+        liveButton.textContent = `⏩ Back to live (${moveList.length - currentPly} ${moveList.length - currentPly === 1 ? 'move' : 'moves'} ahead)`;
+    }
+}
+
+function joinRoom() {
+    if (roomId && playerRole) {
+        // Reclaim our seat with the stored session token if we have one
+        const sessionId = sessionStorage.getItem(getSessionKey());
+        if (sessionId) {
+            socket.emit('reconnect', sessionId);
+        } else {
+            socket.emit('joinRoom', getJoinPayload());
+        }
+        
+        // Display room ID in the UI
+        const roomCodeElement = document.getElementById('roomCode');
+        if (roomCodeElement) {
+            roomCodeElement.textContent = roomId;
+        }
+    }
+}
+
+function getSessionKey() {
+    return `chessSession:${roomId}`;
+}
+
+// Owner key handed out when this browser created the room
+function getOwnerKey() {
+    return sessionStorage.getItem(`chessOwner:${roomId}`);
+}
+
+// Credentials for private rooms travel with every join attempt
+function getJoinPayload() {
+    return {
+        roomId,
+        preferredRole: playerRole,
+        password: roomPassword,
+        invite: inviteToken,
+        ownerKey: getOwnerKey()
+    };
+}
+
+// Replay view: an archived game on the same board, browsed with the move navigation
+async function loadReplay() {
+    try {
+        const response = await fetch(`/api/games/${encodeURIComponent(replayGameId)}`);
+        if (!response.ok) {
+            throw new Error(response.status === 404 ? 'Game not found' : `Server responded ${response.status}`);
+        }
+        const { game } = await response.json();
+        showReplay(game);
+    } catch (error) {
+        showError('Failed to load the game: ' + error.message);
+    }
+}
+
+function showReplay(game) {
+    playerRole = 'spectator';
+    opening = game.opening;
+    applyRoomInfo({ ...game, takebacks: false });
+    moveList = game.moveHistory;
+    chess = replayMoves(moveList.length).position;
+    gameState = { status: 'finished', result: game.result };
+    
+    document.getElementById('roomCode').textContent = game.roomId;
+    document.getElementById('yourRole').textContent = 'Replay';
+    updateCheckCount();
+    updateGameControls();
+    renderReplayPlayers(game);
+    
+    // Start from the first position so the game can be stepped through
+    showPly(0);
+}
+
+// Player cards show names with a link to their profile, and rating changes of rated games
+function renderReplayPlayers(game) {
+    const ratingChanges = game.result && game.result.ratingChanges;
+    
+    ['white', 'black'].forEach(color => {
+        const label = color.charAt(0).toUpperCase() + color.slice(1);
+        const name = game.playerNames[color];
+        const nameElement = document.getElementById(`${color}PlayerName`);
+        const statusElement = document.getElementById(`${color}PlayerStatus`);
+    
+        nameElement.textContent = '';
+        if (name && game.registered[color]) {
+            const link = document.createElement('a');
+            link.href = `/u/${encodeURIComponent(name)}`;
+            link.className = 'underline';
+            link.textContent = name;
+            nameElement.appendChild(link);
+        } else {
+            nameElement.textContent = name || `${label} Player`;
+        }
+    
+        const change = ratingChanges && ratingChanges[color];
+        statusElement.textContent = change
+            ? `${label} · ${change.before} → ${change.after} (${change.change >= 0 ? '+' : ''}${change.change})`
+            : label;
+    
+        const indicator = document.querySelector(`#${color}PlayerCard .status-indicator`);
+        if (indicator) indicator.classList.add('hidden');
+    });
+}
+
+function setupEventListeners() {
+    // Game controls
+    const resignBtn = document.getElementById('resignBtn');
+    const drawBtn = document.getElementById('offerDrawBtn');
+    
+    if (resignBtn) {
+        resignBtn.addEventListener('click', () => {
+            if (confirm('Are you sure you want to resign?')) {
+                socket.emit('resign');
+            }
+        });
+    }
+    
+    if (drawBtn) {
+        drawBtn.addEventListener('click', () => {
+            if (confirm('Offer a draw to your opponent?')) {
+                socket.emit('offerDraw');
+            }
+        });
+    }
+    
+    const rematchBtn = document.getElementById('rematchBtn');
+    if (rematchBtn) {
+        rematchBtn.addEventListener('click', () => {
+            socket.emit('offerRematch');
+        });
+    }
+    
+    // The explorer opens on the position shown on the board, browsed or live
+    const explorerBtn = document.getElementById('explorerBtn');
+    if (explorerBtn) {
+        explorerBtn.addEventListener('click', () => {
+            const position = viewedPly !== null ? replayMoves(viewedPly).position : chess;
+            if (position) {
+                explorerBtn.href = `/explorer?fen=${encodeURIComponent(position.fen())}`;
+            }
+        });
+    }
+    
+    const playComputerBtn = document.getElementById('playComputerBtn');
+    if (playComputerBtn) {
+        playComputerBtn.addEventListener('click', () => {
+            socket.emit('playComputer', { level: Number(document.getElementById('computerLevelSelect').value) });
+        });
+    }
+    
+    // Room owner tools
+    const playerChatToggle = document.getElementById('playerChatToggle');
+    const spectatorChatToggle = document.getElementById('spectatorChatToggle');
+    [playerChatToggle, spectatorChatToggle].forEach(toggle => {
+        if (!toggle) return;
+        toggle.addEventListener('change', () => {
+            socket.emit('updateChatSettings', {
+                players: playerChatToggle.checked,
+                spectators: spectatorChatToggle.checked
+            });
+        });
+    });
+    
+    const unblockChatBtn = document.getElementById('unblockChatBtn');
+    if (unblockChatBtn) {
+        unblockChatBtn.addEventListener('click', () => {
+            blockedSenders.clear();
+            saveBlockedSenders();
+            renderChat();
+        });
+    }
+    
+    document.querySelectorAll('[data-invite-role]').forEach(button => {
+        button.addEventListener('click', () => {
+            socket.emit('createInvite', { role: button.dataset.inviteRole });
+        });
+    });
+    
+    document.querySelectorAll('[data-kick-role]').forEach(button => {
+        button.addEventListener('click', () => {
+            const role = button.dataset.kickRole;
+            const ban = button.dataset.ban === 'true';
+            if (confirm(`${ban ? 'Ban' : 'Kick'} the ${role} player from this room?`)) {
+                socket.emit('kickPlayer', { role, ban });
+            }
+        });
+    });
+    
+    // Rematch offer modal
+    const acceptRematchBtn = document.getElementById('acceptRematchBtn');
+    const declineRematchBtn = document.getElementById('declineRematchBtn');
+    
+    if (acceptRematchBtn) {
+        acceptRematchBtn.addEventListener('click', () => {
+            socket.emit('respondToRematch', { accepted: true });
+            hideModal('rematchOfferModal');
+        });
+    }
+    
+    if (declineRematchBtn) {
+        declineRematchBtn.addEventListener('click', () => {
+            socket.emit('respondToRematch', { accepted: false });
+            hideModal('rematchOfferModal');
+        });
+    }
+    
+    // Takeback request and modal
+    const takebackBtn = document.getElementById('takebackBtn');
+    if (takebackBtn) {
+        takebackBtn.addEventListener('click', () => socket.emit('requestTakeback'));
+    }
+    
+    [['acceptTakebackBtn', true], ['declineTakebackBtn', false]].forEach(([id, accepted]) => {
+        const button = document.getElementById(id);
+        if (button) {
+            button.addEventListener('click', () => {
+                socket.emit('respondToTakeback', { accepted });
+                hideModal('takebackRequestModal');
+            });
+        }
+    });
+    
+    // Draw offer modal
+    const acceptBtn = document.getElementById('acceptDrawBtn');
+    const declineBtn = document.getElementById('declineDrawBtn');
+    
+    if (acceptBtn) {
+        acceptBtn.addEventListener('click', () => {
+            socket.emit('respondToDraw', { accepted: true });
+            hideDrawOfferModal();
+        });
+    }
+    
+    if (declineBtn) {
+        declineBtn.addEventListener('click', () => {
+            socket.emit('respondToDraw', { accepted: false });
+            hideDrawOfferModal();
+        });
+    }
+    
+    // Move navigation
+    const navigation = {
+        navFirstBtn: () => 0,
+        navPrevBtn: () => getCurrentPly() - 1,
+        navNextBtn: () => getCurrentPly() + 1,
+        navLastBtn: () => moveList.length,
+        backToLiveBtn: () => moveList.length
+    };
+    Object.entries(navigation).forEach(([id, getTarget]) => {
+        const button = document.getElementById(id);
+        if (button) {
+            button.addEventListener('click', () => showPly(getTarget()));
+        }
+    });
+    updateNavigationControls();
+    
+    // Right-click on the board cancels queued premoves
+    if (boardElement) {
+        boardElement.addEventListener('contextmenu', (e) => {
+            if (premoves.length === 0 && !selectedSquare) return;
+            e.preventDefault();
+            cancelPremoves();
+            clearSelection();
+        });
+    }
+    
+    // Drag and drop
+    document.addEventListener('pointermove', handleDragMove);
+    document.addEventListener('pointerup', handleDragEnd);
+    document.addEventListener('pointercancel', handleDragEnd);
+    document.addEventListener('click', (e) => {
+        if (suppressNextClick) {
+            suppressNextClick = false;
+            e.stopPropagation();
+        }
+    }, true);
+    
+    // Keyboard shortcuts
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            clearSelection();
+            cancelPremoves();
+        }
+        
+        // Arrow keys browse the moves unless the user is typing
+        if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+        const targets = {
+            ArrowLeft: () => getCurrentPly() - 1,
+            ArrowRight: () => getCurrentPly() + 1,
+            Home: () => 0,
+            End: () => moveList.length
+        };
+        if (targets[e.key]) {
+            e.preventDefault();
+            showPly(targets[e.key]());
+        }
+    });
+}
+
+// Chat functionality
+// Players and spectators each have their own channel. Spectator messages only
+// reach the players once the game is over, so the spectator tab stays empty for
+// them until then.
+function initializeChat() {
+    const chatInput = document.getElementById('chatInput');
+    const sendBtn = document.getElementById('sendChatBtn');
+    
+    if (!chatInput || !sendBtn) return;
+    
+    sendBtn.addEventListener('click', sendChatMessage);
+    chatInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            sendChatMessage();
+        }
+    });
+    
+    document.querySelectorAll('[data-chat-channel]').forEach(tab => {
+        tab.addEventListener('click', () => {
+            chatChannel = tab.dataset.chatChannel;
+            renderChat();
+            updateChatPermissions();
+        });
+    });
+    
+    // Per-message report / block / mute buttons
+    document.getElementById('chatMessages').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-chat-action]');
+        if (button) {
+            handleChatAction(button.dataset.chatAction, button.dataset.messageId, button.dataset.senderId);
+        }
+    });
+    
+    blockedSenders = loadBlockedSenders();
+    updateBlockedCount();
+    updateChatPermissions();
+}
+
+function getOwnChatChannel() {
+    return playerRole === 'white' || playerRole === 'black' ? 'players' : 'spectators';
+}
+
+function sendChatMessage() {
+    const chatInput = document.getElementById('chatInput');
+    if (!chatInput) return;
+    
+    const message = sanitizeInput(chatInput.value.trim(), 200);
+    
+    if (!message) return;
+    
+    if (!playerRole || chatChannel !== getOwnChatChannel() || !chatSettings[chatChannel]) {
+        showNotification('⚠️', 'You cannot write in this channel', 'warning');
+        return;
+    }
+    
+    socket.emit('chatMessage', { message });
+    chatInput.value = '';
+}
+
+function updateChatPermissions() {
+    const chatInput = document.getElementById('chatInput');
+    const sendBtn = document.getElementById('sendChatBtn');
+    const chatStatus = document.getElementById('chatStatus');
+    
+    const ownChannel = getOwnChatChannel();
+    const canChat = Boolean(playerRole) && chatChannel === ownChannel && chatSettings[ownChannel];
+    
+    if (chatInput) chatInput.disabled = !canChat;
+    if (sendBtn) sendBtn.disabled = !canChat;
+    if (chatStatus) {
+        if (!playerRole) {
+            chatStatus.textContent = 'Join the room to chat';
+        } else if (!chatSettings[ownChannel]) {
+            chatStatus.textContent = ownChannel === 'players' ? 'Player chat is disabled in this room' : 'Spectator chat is disabled in this room';
+        } else if (chatChannel !== ownChannel) {
+            chatStatus.textContent = ownChannel === 'players' ? 'Players can only write in the player chat' : 'Spectators can only write in the spectator chat';
+        } else {
+            chatStatus.textContent = 'Chat enabled';
+        }
+    }
+    
+    document.querySelectorAll('[data-chat-channel]').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.chatChannel === chatChannel);
+    });
+}
+
+function getMessageChannel(chatMessage) {
+    return chatMessage.channel || 'players';
+}
+
+function displayChatMessage(chatMessage) {
+    if (chatLog.some(message => message.id === chatMessage.id)) return;
+    chatLog.push(chatMessage);
+    
+    if (getMessageChannel(chatMessage) === chatChannel) {
+        renderChat();
+    } else if (!blockedSenders.has(chatMessage.senderId)) {
+        const tab = document.querySelector(`[data-chat-channel="${getMessageChannel(chatMessage)}"]`);
+        if (tab) tab.classList.add('unread');
+    }
+}
+
+function renderChat() {
+    const chatMessages = document.getElementById('chatMessages');
+    if (!chatMessages) return;
+    
+    const activeTab = document.querySelector(`[data-chat-channel="${chatChannel}"]`);
+    if (activeTab) activeTab.classList.remove('unread');
+    
+    const messages = chatLog.filter(message =>
+        getMessageChannel(message) === chatChannel && !blockedSenders.has(message.senderId));
+    chatMessages.innerHTML = '';
+    
+    if (messages.length === 0) {
+        const placeholder = document.createElement('div');
+        placeholder.className = 'text-center text-gray-400 text-sm';
+        if (chatChannel === 'spectators' && getOwnChatChannel() === 'players' && gameState.status !== 'finished') {
+            placeholder.textContent = 'Spectator chat is shown to players once the game is over';
+        } else {
+            placeholder.textContent = chatChannel === 'players' ? 'Chat with other players' : 'Chat with other spectators';
+        }
+        chatMessages.appendChild(placeholder);
+        return;
+    }
+    
+    messages.forEach(chatMessage => chatMessages.appendChild(createChatMessageElement(chatMessage)));
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
+function createChatMessageElement(chatMessage) {
+    const messageElement = document.createElement('div');
+    messageElement.className = 'chat-message mb-2 p-2 rounded';
+    
+    const roleColor = chatMessage.playerRole === 'white' ? 'text-gray-300' : 'text-gray-400';
+    const roleName = chatMessage.playerRole.charAt(0).toUpperCase() + chatMessage.playerRole.slice(1);
+    const author = chatMessage.displayName ? `${escapeHtml(chatMessage.displayName)} (${roleName})` : roleName;
     
     messageElement.innerHTML = `
-        <div class="text-xs ${roleColor} mb-1">${roleName}</div>
+        <div class="flex justify-between gap-2 text-xs ${roleColor} mb-1">
+            <span>${author}</span>
+            <span class="chat-actions"></span>
+        </div>
         <div class="text-white">${escapeHtml(chatMessage.message)}</div>
     `;
     
-    chatMessages.appendChild(messageElement);
-    chatMessages.scrollTop = chatMessages.scrollHeight;
+    if (chatMessage.senderId && chatMessage.senderId !== chatSenderId) {
+        const actions = [
+            { action: 'report', icon: '⚑', title: 'Report message' },
+            { action: 'block', icon: '🚫', title: 'Hide messages from this user' }
+        ];
+        if (chatModeration) {
+            const muted = chatModeration.mutes.includes(chatMessage.senderId);
+            actions.push(muted
+                ? { action: 'unmute', icon: '🔊', title: 'Unmute in this room' }
+                : { action: 'mute', icon: '🔇', title: 'Mute in this room' });
+        }
+        
+        const container = messageElement.querySelector('.chat-actions');
+        actions.forEach(({ action, icon, title }) => {
+            const button = document.createElement('button');
+            button.className = 'chat-action';
+            button.textContent = icon;
+            button.title = title;
+            button.dataset.chatAction = action;
+            button.dataset.messageId = chatMessage.id;
+            button.dataset.senderId = chatMessage.senderId;
+            container.appendChild(button);
+        });
+    }
+    return messageElement;
+}
+
+function handleChatAction(action, messageId, senderId) {
+    switch (action) {
+    case 'report': {
+        if (!confirm('Report this message to the room owner?')) return;
+        const reason = prompt('Reason (optional):', '');
+        if (reason === null) return;
+        socket.emit('reportMessage', { messageId, reason: sanitizeInput(reason, 100) });
+        break;
+    }
+    case 'block':
+        if (!confirm('Hide all messages from this user? You can undo this from the chat box.')) return;
+        blockedSenders.add(senderId);
+        saveBlockedSenders();
+        renderChat();
+        break;
+    case 'mute':
+    case 'unmute':
+        socket.emit('muteChatUser', { senderId, muted: action === 'mute' });
+        break;
+    }
+}
+
+// Blocks are personal and kept in the browser across rooms
+function loadBlockedSenders() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(BLOCKED_SENDERS_KEY));
+        return new Set(Array.isArray(stored) ? stored : []);
+    } catch (error) {
+        return new Set();
+    }
+}
+
+function saveBlockedSenders() {
+    try {
+        localStorage.setItem(BLOCKED_SENDERS_KEY, JSON.stringify([...blockedSenders]));
+    } catch (error) {
+        console.warn('Could not save blocked chat users:', error);
+    }
+    updateBlockedCount();
+}
+
+function updateBlockedCount() {
+    const unblockBtn = document.getElementById('unblockChatBtn');
+    if (!unblockBtn) return;
+    
+    unblockBtn.classList.toggle('hidden', blockedSenders.size === 0);
+    unblockBtn.textContent = `Unblock all (${blockedSenders.size})`;
+}
+
+function renderChatModeration() {
+    const reportsList = document.getElementById('chatReportsList');
+    if (!reportsList || !chatModeration) return;
+    
+    reportsList.innerHTML = '';
+    if (chatModeration.reports.length === 0) {
+        reportsList.textContent = 'No reported messages';
+        return;
+    }
+    
+    chatModeration.reports.slice().reverse().forEach(report => {
+        const entry = document.createElement('div');
+        entry.className = 'flex items-start justify-between gap-2 bg-black/20 rounded p-2';
+        
+        const text = document.createElement('div');
+        const author = report.displayName || report.playerRole;
+        text.textContent = `${author}: "${report.message}"${report.reason ? ` (${report.reason})` : ''}`;
+        entry.appendChild(text);
+        
+        const muted = chatModeration.mutes.includes(report.senderId);
+        const muteBtn = document.createElement('button');
+        muteBtn.className = 'bg-gray-700 hover:bg-gray-600 px-2 py-1 rounded shrink-0';
+        muteBtn.textContent = muted ? 'Unmute' : 'Mute';
+        muteBtn.addEventListener('click', () => {
+            socket.emit('muteChatUser', { senderId: report.senderId, muted: !muted });
+        });
+        entry.appendChild(muteBtn);
+        
+        reportsList.appendChild(entry);
+    });
+}
+
+// Clock display - the server is authoritative, we only interpolate between updates
+function updateClocks(state) {
+    clockState = state ? { ...state, receivedAt: Date.now() } : null;
+    
+    if (clockInterval) {
+        clearInterval(clockInterval);
+        clockInterval = null;
+    }
+    
+    renderClocks();
+    
+    if (clockState && clockState.running) {
+        clockInterval = setInterval(renderClocks, 100);
+    }
+}
+
+function renderClocks() {
+    ['white', 'black'].forEach(color => {
+        const clockElement = document.getElementById(`${color}Clock`);
+        if (!clockElement) return;
+        
+        if (!clockState) {
+            clockElement.classList.add('hidden-clock');
+            return;
+        }
+        
+        let timeLeft = clockState[color];
+        if (clockState.running === color) {
+            const elapsed = Date.now() - clockState.receivedAt;
+            timeLeft = Math.max(0, timeLeft - Math.max(0, elapsed - clockState.delayLeft));
+        }
+        
+        clockElement.classList.remove('hidden-clock');
+        clockElement.classList.toggle('running', clockState.running === color);
+        clockElement.classList.toggle('low-time', timeLeft < 10000);
+        clockElement.textContent = formatClock(timeLeft);
+    });
+}
+
+function formatClock(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const pad = (value) => String(value).padStart(2, '0');
+    
+    if (hours > 0) {
+        return `${hours}:${pad(minutes)}:${pad(seconds)}`;
+    }
+    
+    // Show tenths of a second when time is running low
+    if (ms < 10000) {
+        return `${pad(minutes)}:${pad(seconds)}.${Math.floor((ms % 1000) / 100)}`;
+    }
+    
+    return `${pad(minutes)}:${pad(seconds)}`;
+}
+
+// Correspondence deadline, e.g. "Mon 18:30 (2d 4h left)"
+function updateMoveDeadline(deadline) {
+    moveDeadline = deadline;
+    if (deadlineInterval) {
+        clearInterval(deadlineInterval);
+        deadlineInterval = null;
+    }
+    
+    renderMoveDeadline();
+    if (moveDeadline) {
+        deadlineInterval = setInterval(renderMoveDeadline, 60000);
+    }
+}
+
+function renderMoveDeadline() {
+    const row = document.getElementById('moveDeadlineRow');
+    if (!row) return;
+    
+    row.classList.toggle('hidden', !moveDeadline);
+    if (!moveDeadline) return;
+    
+    const msLeft = Math.max(0, moveDeadline - Date.now());
+    const days = Math.floor(msLeft / 86400000);
+    const hours = Math.floor((msLeft % 86400000) / 3600000);
+    const minutes = Math.floor((msLeft % 3600000) / 60000);
+    const left = days > 0 ? `${days}d ${hours}h` : `${hours}h ${minutes}m`;
+    const when = new Date(moveDeadline).toLocaleString(undefined, { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+    
+    const label = document.getElementById('moveDeadlineLabel');
+    label.textContent = `${when} (${left} left)`;
+    label.classList.toggle('text-red-400', msLeft < 86400000);
 }
 
 // Socket event handlers
@@ -427,8 +1629,12 @@ socket.on('roleAssigned', (role) => {
     playerRole = role;
     console.log('✅ Role assigned:', role);
     
+    chatChannel = getOwnChatChannel();
+    renderChat();
     updateChatPermissions();
     updateGameStatus();
+    updateGameControls();
+    renderMatchScore();
     renderBoard(); // Re-render board with correct orientation
     
     const roleElement = document.getElementById('yourRole');
@@ -437,11 +1643,18 @@ socket.on('roleAssigned', (role) => {
     }
     
     showNotification('✅', `You are playing as ${role}`, 'success');
+    
+    // Ask whether we own this room so the owner tools can be shown
+    socket.emit('claimOwnership', getOwnerKey());
 });
 
 socket.on('boardState', (fen) => {
     if (!chess) return;
     
+    // The position from before our own move, sent before the server saw that move
+    if (fen && fen === unconfirmedFen) return;
+    unconfirmedFen = null;
+    
     try {
         if (fen && fen !== chess.fen()) {
             chess.load(fen);
@@ -460,8 +1673,12 @@ socket.on('move', (move) => {
         const moveResult = chess.move(move);
         if (moveResult) {
             lastMove = move;
-            clearSelection();
+            if (selectedSquare && !isOwnPiece(getPieceAt(selectedSquare))) {
+                clearSelection();
+            }
             renderBoard();
+            hideModal('takebackRequestModal'); // A move cancels any pending takeback request
+            playNextPremove();
         }
     } catch (error) {
         // Invalid move received
@@ -469,24 +1686,369 @@ socket.on('move', (move) => {
 });
 
 socket.on('gameEnd', (result) => {
+    premoves = [];
     clearSelection();
+    gameState = { status: 'finished', result };
     updateGameStatus();
+    updateGameControls();
     
     setTimeout(() => {
-        alert(`Game Over: ${result.type}\n${result.message || ''}`);
+        alert(`Game Over: ${describeResult(result)}\n${result.message || ''}${describeRatingChanges(result.ratingChanges)}`);
     }, 500);
 });
 
+// "White 1500 → 1512 (+12)" lines for rated games
+function describeRatingChanges(ratingChanges) {
+    if (!ratingChanges) return '';
+    
+    return ['white', 'black'].map(color => {
+        const { before, after, change } = ratingChanges[color];
+        const label = color.charAt(0).toUpperCase() + color.slice(1);
+        return `\n${label}: ${before} → ${after} (${change >= 0 ? '+' : ''}${change})`;
+    }).join('');
+}
+
+socket.on('gameStatus', (state) => {
+    gameState = state;
+    updateGameStatus();
+    updateGameControls();
+    renderChat();
+});
+
+socket.on('moveHistory', (history) => {
+    moveList = Array.isArray(history) ? history : [];
+    
+    // Stay on the browsed position while live moves arrive, unless it no longer exists
+    if (viewedPly !== null && viewedPly >= moveList.length) {
+        viewedPly = null;
+    }
+    renderBoard();
+    renderMoveHistory();
+    updateNavigationControls();
+    updateGameControls();
+    updateCheckCount();
+});
+
+// The server rejected our optimistic move - take it back locally
+socket.on('moveError', () => {
+    if (!chess) return;
+    
+    chess.undo();
+    lastMove = null;
+    unconfirmedFen = null;
+    premoves = [];
+    clearSelection();
+    renderBoard();
+    showNotification('❌', 'Move rejected by the server', 'error');
+});
+
+socket.on('clockUpdate', updateClocks);
+socket.on('moveDeadline', updateMoveDeadline);
+
+socket.on('roomInfo', applyRoomInfo);
+
+socket.on('opening', (value) => {
+    opening = value;
+    renderOpening();
+});
+
+// ECO code and name under the board; variants have neither, nor an explorer
+function renderOpening() {
+    const container = document.getElementById('openingInfo');
+    if (!container) return;
+    
+    container.classList.toggle('hidden', variant !== 'standard');
+    document.getElementById('openingLabel').textContent = opening ? `${opening.eco} · ${opening.name}` : '';
+}
+
+function applyRoomInfo(info) {
+    startFen = info.startFen || null;
+    
+    // The board was set up before the variant was known
+    const previousVariant = variant;
+    variant = info.variant || 'standard';
+    if (chess && variant !== previousVariant) {
+        chess = createPosition(chess.fen());
+        renderBoard();
+    }
+    
+    // Tournament games link back to the event's standings
+    const tournamentRow = document.getElementById('tournamentRow');
+    if (tournamentRow) {
+        tournamentRow.classList.toggle('hidden', !info.tournament);
+        if (info.tournament) {
+            const link = document.getElementById('tournamentLink');
+            link.href = `/tournaments/${encodeURIComponent(info.tournament.id)}`;
+            link.textContent = `${info.tournament.name} · R${info.tournament.round} B${info.tournament.board}`;
+        }
+    }
+    
+    const variantElement = document.getElementById('variantLabel');
+    if (variantElement) {
+        variantElement.textContent = info.variantName || 'Standard';
+    }
+    updateCheckCount();
+    renderMoveHistory();
+    renderOpening();
+    
+    const timeControlElement = document.getElementById('timeControlLabel');
+    if (timeControlElement && info.timeControl) {
+        timeControlElement.textContent = info.timeControl;
+    }
+    
+    takebacksAllowed = info.takebacks !== false;
+    tournamentGame = Boolean(info.tournament);
+    updateGameControls();
+    
+    const gameTypeElement = document.getElementById('gameTypeLabel');
+    if (gameTypeElement) {
+        gameTypeElement.textContent = info.rated ? 'Rated' : 'Casual';
+    }
+}
+
+// Seat status and display names on the player cards
+socket.on('playersUpdate', (players) => {
+    ['white', 'black'].forEach(color => {
+        const card = document.getElementById(`${color}PlayerCard`);
+        const nameElement = document.getElementById(`${color}PlayerName`);
+        const statusElement = document.getElementById(`${color}PlayerStatus`);
+        const connected = players[color] === 'connected';
+        const name = players.names && players.names[color];
+        const rating = players.ratings && players.ratings[color];
+        const label = color.charAt(0).toUpperCase() + color.slice(1);
+        
+        if (nameElement) {
+            nameElement.textContent = name || `${label} Player`;
+            if (rating) {
+                nameElement.textContent += ` (${rating.rating}${rating.provisional ? '?' : ''})`;
+            }
+        }
+        if (statusElement) {
+            statusElement.textContent = connected ? (name ? `${label} · Connected` : 'Connected') : 'Waiting...';
+        }
+        
+        const indicator = card && card.querySelector('.status-indicator');
+        if (indicator) {
+            indicator.classList.toggle('status-online', connected);
+            indicator.classList.toggle('status-offline', !connected);
+        }
+    });
+});
+
+socket.on('matchScore', (score) => {
+    matchScore = score;
+    renderMatchScore();
+});
+
+socket.on('rematchOfferReceived', (data) => {
+    const messageElement = document.getElementById('rematchOfferMessage');
+    if (messageElement) {
+        messageElement.textContent = `${data.from} wants a rematch with colours swapped.`;
+    }
+    showModal('rematchOfferModal');
+});
+
+socket.on('rematchOfferSent', () => {
+    const rematchBtn = document.getElementById('rematchBtn');
+    if (rematchBtn) rematchBtn.disabled = true;
+    showNotification('🔁', 'Rematch offer sent', 'info');
+});
+
+socket.on('rematchOfferDeclined', () => {
+    const rematchBtn = document.getElementById('rematchBtn');
+    if (rematchBtn) rematchBtn.disabled = false;
+    showNotification('❌', 'Your opponent declined the rematch', 'warning');
+});
+
+socket.on('rematchOfferError', (message) => {
+    showNotification('⚠️', message, 'warning');
+});
+
+socket.on('gameReset', () => {
+    lastMove = null;
+    viewedPly = null;
+    premoves = [];
+    unconfirmedFen = null;
+    clearSelection();
+    hideModal('rematchOfferModal');
+    showNotification('🔁', 'Rematch started - colours swapped', 'success');
+});
+
 socket.on('chatMessage', displayChatMessage);
 
+// Sent on join and reconnect, and to the players when the game ends;
+// replaces what is shown so messages are not duplicated
+socket.on('chatHistory', (messages) => {
+    if (!Array.isArray(messages)) return;
+    
+    chatLog = messages;
+    renderChat();
+});
+
+// Private rooms: the PGN download needs the download-only token the server gave us
+socket.on('pgnAccess', (token) => {
+    const downloadPgnBtn = document.getElementById('downloadPgnBtn');
+    if (downloadPgnBtn) {
+        downloadPgnBtn.href = `/game/${encodeURIComponent(roomId)}/pgn?invite=${encodeURIComponent(token)}`;
+    }
+});
+
+socket.on('chatIdentity', (senderId) => {
+    chatSenderId = senderId;
+    renderChat();
+});
+
+socket.on('chatSettings', (settings) => {
+    chatSettings = settings;
+    
+    const playerToggle = document.getElementById('playerChatToggle');
+    const spectatorToggle = document.getElementById('spectatorChatToggle');
+    if (playerToggle) playerToggle.checked = settings.players;
+    if (spectatorToggle) spectatorToggle.checked = settings.spectators;
+    updateChatPermissions();
+});
+
+socket.on('chatError', (data) => {
+    showNotification('⚠️', data.message, 'warning');
+});
+
+socket.on('messageReported', () => {
+    showNotification('⚑', 'Message reported to the room owner', 'info');
+});
+
+socket.on('chatModeration', (moderation) => {
+    chatModeration = moderation;
+    renderChatModeration();
+    renderChat();
+});
+
+socket.on('chatReported', (report) => {
+    if (!chatModeration) return;
+    
+    chatModeration.reports = [...chatModeration.reports, report];
+    renderChatModeration();
+    showNotification('⚑', 'A chat message was reported', 'warning');
+});
+
 socket.on('drawOfferReceived', (data) => {
     showDrawOfferModal(`${data.from} has offered a draw.`);
 });
 
+socket.on('drawOfferSent', () => {
+    showNotification('🤝', 'Draw offer sent', 'info');
+});
+
+socket.on('drawOfferDeclined', () => {
+    showNotification('❌', 'Your draw offer was declined', 'warning');
+});
+
+socket.on('drawOfferError', (message) => {
+    showNotification('⚠️', message, 'warning');
+});
+
+socket.on('takebackRequestReceived', (data) => {
+    const messageElement = document.getElementById('takebackRequestMessage');
+    if (messageElement) {
+        const what = data.plies === 2 ? 'their last move and your reply' : 'their last move';
+        messageElement.textContent = `${data.from} wants to take back ${what}.`;
+    }
+    showModal('takebackRequestModal');
+});
+
+socket.on('takebackRequestSent', () => {
+    showNotification('↩️', 'Takeback request sent', 'info');
+});
+
+socket.on('takebackDeclined', () => {
+    showNotification('❌', 'Your takeback request was declined', 'warning');
+});
+
+socket.on('takebackError', (message) => {
+    showNotification('⚠️', message, 'warning');
+});
+
+// The server follows up with boardState and moveHistory
+socket.on('takebackAccepted', (data) => {
+    lastMove = null;
+    premoves = [];
+    unconfirmedFen = null;
+    clearSelection();
+    hideModal('takebackRequestModal');
+    showNotification('↩️', data.plies === 2 ? 'Last two moves taken back' : 'Last move taken back', 'info');
+});
+
 socket.on('connect', () => {
     updateConnectionStatus('Connected', true);
 });
 
+// Rejoin the room after the connection drops or the server restarts
+socket.io.on('reconnect', () => {
+    if (chess) {
+        joinRoom();
+    }
+});
+
+socket.on('sessionId', (sessionId) => {
+    sessionStorage.setItem(getSessionKey(), sessionId);
+});
+
+socket.on('sessionExpired', () => {
+    sessionStorage.removeItem(getSessionKey());
+    socket.emit('joinRoom', getJoinPayload());
+});
+
+socket.on('roomAccessDenied', (data) => {
+    if (data.needsPassword) {
+        const password = prompt(`${data.message}\nEnter the room password:`);
+        if (password) {
+            roomPassword = password;
+            socket.emit('joinRoom', getJoinPayload());
+            return;
+        }
+    } else {
+        alert(data.message);
+    }
+    window.location.href = '/';
+});
+
+socket.on('kicked', (data) => {
+    sessionStorage.removeItem(getSessionKey());
+    alert(data.message);
+    window.location.href = '/';
+});
+
+socket.on('roomOwnership', (ownership) => {
+    const ownerControls = document.getElementById('ownerControls');
+    if (ownerControls) {
+        ownerControls.classList.toggle('hidden', !ownership.owner);
+    }
+    if (!ownership.owner && chatModeration) {
+        chatModeration = null;
+        renderChat();
+    }
+});
+
+socket.on('inviteCreated', (invite) => {
+    const url = `${window.location.origin}/game?room=${encodeURIComponent(roomId)}&role=${invite.role}&invite=${encodeURIComponent(invite.token)}`;
+    const expires = new Date(invite.expiresAt).toLocaleString();
+    
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(url)
+            .then(() => showNotification('🔗', `Invite link copied (valid until ${expires})`, 'success'))
+            .catch(() => prompt('Copy this invite link:', url));
+    } else {
+        prompt('Copy this invite link:', url);
+    }
+});
+
+socket.on('computerError', (message) => {
+    showNotification('⚠️', message, 'warning');
+});
+
+socket.on('ownerActionError', (message) => {
+    showNotification('⚠️', message, 'warning');
+});
+
 socket.on('disconnect', () => {
     updateConnectionStatus('Disconnected', false);
 });
@@ -540,6 +2102,20 @@ function showDrawOfferModal(message) {
     }
 }
 
+function showModal(id) {
+    const modal = document.getElementById(id);
+    if (modal) {
+        modal.classList.remove('hidden');
+    }
+}
+
+function hideModal(id) {
+    const modal = document.getElementById(id);
+    if (modal) {
+        modal.classList.add('hidden');
+    }
+}
+
 function hideDrawOfferModal() {
     const modal = document.getElementById('drawOfferModal');
     if (modal) {
@@ -0,0 +1,197 @@
+// Opening explorer page
+// Shows the moves played from a position in the server's finished games with
+// their results. Clicking a move walks down the line; the URL follows along so
+// a position can be shared.
+
+const PIECE_SYMBOLS = {
+    'K': '♔', 'Q': '♕', 'R': '♖', 'B': '♗', 'N': '♘', 'P': '♙',
+    'k': '♚', 'q': '♛', 'r': '♜', 'b': '♝', 'n': '♞', 'p': '♟'
+};
+
+const rootFen = window.explorerConfig.fen;
+let line = [];          // Moves walked from the root position: { san, fen }
+let requestId = 0;      // Drops answers to positions we already left
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('startPositionBtn').addEventListener('click', () => showLine([]));
+    document.getElementById('backMoveBtn').addEventListener('click', () => showLine(line.slice(0, -1)));
+
+    document.getElementById('fenForm').addEventListener('submit', (event) => {
+        event.preventDefault();
+        const fen = document.getElementById('fenInput').value.trim();
+        if (fen) {
+            window.location.href = `/explorer?fen=${encodeURIComponent(fen)}`;
+        }
+    });
+
+    document.addEventListener('keydown', (event) => {
+        if (event.target.tagName === 'INPUT') return;
+        if (event.key === 'ArrowLeft') showLine(line.slice(0, -1));
+        if (event.key === 'Home') showLine([]);
+    });
+
+    showLine([]);
+});
+
+function getCurrentFen() {
+    return line.length > 0 ? line[line.length - 1].fen : rootFen;
+}
+
+function showStatus(message) {
+    const statusElement = document.getElementById('explorerStatus');
+    statusElement.textContent = message;
+    statusElement.classList.toggle('hidden', !message);
+}
+
+function showLine(moves) {
+    line = moves;
+    const fen = getCurrentFen();
+
+    window.history.replaceState(null, '', `/explorer?fen=${encodeURIComponent(fen)}`);
+    document.getElementById('fenInput').value = fen;
+    document.getElementById('backMoveBtn').disabled = line.length === 0;
+
+    renderBoard(fen);
+    renderLine();
+    loadPosition(fen);
+}
+
+async function loadPosition(fen) {
+    const id = ++requestId;
+    try {
+        const response = await fetch(`/api/explorer?fen=${encodeURIComponent(fen)}`);
+        const data = await response.json();
+        if (id !== requestId) return;
+        if (!response.ok) {
+            throw new Error(data.error || 'Request failed');
+        }
+
+        showStatus('');
+        renderOpening(data.opening);
+        renderMoves(data);
+    } catch (error) {
+        if (id !== requestId) return;
+        console.error('Failed to load the explorer:', error);
+        showStatus(`Could not load the position: ${error.message}`);
+    }
+}
+
+function renderBoard(fen) {
+    const board = document.getElementById('explorerBoard');
+    const rows = fen.split(' ')[0].split('/');
+    board.innerHTML = '';
+
+    rows.forEach((row, rowIndex) => {
+        let fileIndex = 0;
+        for (const char of row) {
+            const empty = parseInt(char, 10);
+            const pieces = isNaN(empty) ? [char] : new Array(empty).fill(null);
+
+            pieces.forEach(piece => {
+                const squareElement = document.createElement('div');
+                squareElement.className = `square ${(rowIndex + fileIndex) % 2 === 0 ? 'light' : 'dark'}`;
+
+                if (piece) {
+                    const pieceElement = document.createElement('div');
+                    pieceElement.className = `piece ${piece === piece.toUpperCase() ? 'white' : 'black'}`;
+                    pieceElement.textContent = PIECE_SYMBOLS[piece];
+                    squareElement.appendChild(pieceElement);
+                }
+
+                board.appendChild(squareElement);
+                fileIndex++;
+            });
+        }
+    });
+}
+
+// Moves walked so far, numbered from the root position's move counter
+function renderLine() {
+    const container = document.getElementById('explorerLine');
+    if (line.length === 0) {
+        container.textContent = 'Click a move to follow the line';
+        return;
+    }
+
+    const fields = rootFen.split(' ');
+    const offset = fields[1] === 'b' ? 1 : 0;
+    const firstNumber = parseInt(fields[5], 10) || 1;
+    container.textContent = line.map((move, index) => {
+        const number = firstNumber + Math.floor((index + offset) / 2);
+        if ((index + offset) % 2 === 0) return `${number}. ${move.san}`;
+        return index === 0 ? `${number}... ${move.san}` : move.san;
+    }).join(' ');
+}
+
+function renderOpening(opening) {
+    document.getElementById('openingName').textContent = opening ? `${opening.eco} · ${opening.name}` : '';
+}
+
+function formatPercent(count, total) {
+    return total > 0 ? Math.round(count / total * 100) : 0;
+}
+
+// White wins, draws and Black wins as one bar, labelled when wide enough
+function createResultBar(entry) {
+    const bar = document.createElement('div');
+    bar.className = 'result-bar';
+    [['white', entry.white], ['draw', entry.draws], ['black', entry.black]].forEach(([key, count]) => {
+        const percent = formatPercent(count, entry.games);
+        if (percent === 0) return;
+        const part = document.createElement('span');
+        part.className = `result-${key}`;
+        part.style.width = `${percent}%`;
+        part.textContent = percent >= 12 ? `${percent}%` : '';
+        part.title = `${count} game${count === 1 ? '' : 's'}`;
+        bar.appendChild(part);
+    });
+    return bar;
+}
+
+function createRow(cells) {
+    const row = document.createElement('tr');
+    cells.forEach(([content, className]) => {
+        const cell = document.createElement('td');
+        if (className) cell.className = className;
+        cell.append(content);
+        row.appendChild(cell);
+    });
+    return row;
+}
+
+function renderMoves(data) {
+    const body = document.getElementById('movesBody');
+    const total = document.getElementById('movesTotal');
+    body.innerHTML = '';
+    total.innerHTML = '';
+
+    if (data.moves.length === 0) {
+        const row = createRow([['No games have reached this position yet', 'text-gray-400 text-center']]);
+        row.firstChild.colSpan = 3;
+        body.appendChild(row);
+        return;
+    }
+
+    data.moves.forEach(move => {
+        const name = document.createElement('span');
+        name.className = 'font-semibold';
+        name.textContent = move.san;
+        if (move.opening) {
+            name.title = `${move.opening.eco} ${move.opening.name}`;
+        }
+
+        const row = createRow([
+            [name, 'text-left'],
+            [`${move.games} (${formatPercent(move.games, data.games)}%)`, 'text-right'],
+            [createResultBar(move)]
+        ]);
+        row.addEventListener('click', () => showLine([...line, { san: move.san, fen: move.fen }]));
+        body.appendChild(row);
+    });
+
+    total.appendChild(createRow([
+        ['Σ', 'text-left'],
+        [String(data.games), 'text-right'],
+        [createResultBar(data)]
+    ]));
+}
@@ -0,0 +1,274 @@
+// Profile page
+// Ratings, results by colour and time control, recent opponents, favourite
+// openings and a searchable, paginated list of the user's finished games.
+
+const TIME_CONTROL_LABELS = {
+    bullet: 'Bullet',
+    blitz: 'Blitz',
+    rapid: 'Rapid',
+    classical: 'Classical',
+    unlimited: 'Unlimited',
+    correspondence: 'Correspondence'
+};
+const OUTCOME_LABELS = { win: 'Won', draw: 'Drawn', loss: 'Lost' };
+const SEARCH_DELAY = 300; // Milliseconds of typing quiet before searching
+
+const { username } = window.profileConfig;
+const apiUrl = `/api/users/${encodeURIComponent(username)}`;
+let currentPage = 1;
+let searchTimer = null;
+
+document.addEventListener('DOMContentLoaded', () => {
+    loadProfile();
+    loadGames();
+    setupSearch();
+});
+
+function showStatus(message) {
+    const statusElement = document.getElementById('profileStatus');
+    statusElement.textContent = message;
+    statusElement.classList.toggle('hidden', !message);
+}
+
+async function fetchJson(url) {
+    const response = await fetch(url);
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || 'Request failed');
+    }
+    return data;
+}
+
+function formatDate(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleDateString() : '-';
+}
+
+// Points scored as a percentage: wins count one, draws half
+function formatScore(entry) {
+    if (entry.games === 0) return '-';
+    return `${Math.round((entry.wins + entry.draws / 2) / entry.games * 100)}%`;
+}
+
+function createCell(value, className) {
+    const cell = document.createElement('td');
+    cell.textContent = value;
+    if (className) cell.className = className;
+    return cell;
+}
+
+function createEmptyRow(body, columns, message) {
+    const row = document.createElement('tr');
+    const cell = createCell(message, 'text-gray-400 text-center');
+    cell.colSpan = columns;
+    row.appendChild(cell);
+    body.appendChild(row);
+}
+
+function createProfileLink(name) {
+    const link = document.createElement('a');
+    link.href = `/u/${encodeURIComponent(name)}`;
+    link.className = 'underline';
+    link.textContent = name;
+    return link;
+}
+
+// Stats
+
+async function loadProfile() {
+    try {
+        const profile = await fetchJson(`${apiUrl}/profile`);
+        document.getElementById('profileMeta').textContent =
+            `Joined ${formatDate(profile.joinedAt)} · ${profile.stats.total.games} finished game${profile.stats.total.games === 1 ? '' : 's'}`;
+        renderRatings(profile.ratings);
+        renderResults(profile.stats);
+        renderOpponents(profile.stats.recentOpponents);
+        renderOpenings(profile.stats.openings);
+    } catch (error) {
+        console.error('Failed to load profile:', error);
+        showStatus(`Could not load the profile: ${error.message}`);
+    }
+}
+
+function renderRatings(ratings) {
+    const body = document.getElementById('ratingsBody');
+    body.innerHTML = '';
+
+    const categories = Object.keys(ratings);
+    if (categories.length === 0) {
+        createEmptyRow(body, 3, 'No rated games yet');
+        return;
+    }
+
+    categories.forEach(category => {
+        const entry = ratings[category];
+        const row = document.createElement('tr');
+        row.append(
+            createCell(TIME_CONTROL_LABELS[category] || category, 'text-left'),
+            createCell(`${entry.rating}${entry.provisional ? '?' : ''} ±${entry.rd}`),
+            createCell(entry.games)
+        );
+        body.appendChild(row);
+    });
+}
+
+function renderResults(stats) {
+    const body = document.getElementById('resultsBody');
+    body.innerHTML = '';
+
+    const rows = [
+        ['All games', stats.total],
+        ['As White', stats.byColor.white],
+        ['As Black', stats.byColor.black],
+        ...Object.entries(stats.byTimeControl).map(([key, entry]) => [TIME_CONTROL_LABELS[key] || key, entry])
+    ];
+    rows.forEach(([label, entry], index) => {
+        const row = document.createElement('tr');
+        if (index === 0) row.className = 'font-semibold';
+        row.append(
+            createCell(label, 'text-left'),
+            createCell(entry.games),
+            createCell(entry.wins),
+            createCell(entry.draws),
+            createCell(entry.losses),
+            createCell(formatScore(entry))
+        );
+        body.appendChild(row);
+    });
+}
+
+function renderOpponents(opponents) {
+    const list = document.getElementById('opponentsList');
+    list.innerHTML = '';
+
+    if (opponents.length === 0) {
+        list.innerHTML = '<li class="text-gray-400">No games yet</li>';
+        return;
+    }
+
+    opponents.forEach(opponent => {
+        const item = document.createElement('li');
+        item.className = 'flex justify-between gap-2';
+        const name = opponent.registered ? createProfileLink(opponent.name) : document.createTextNode(opponent.name);
+        const record = document.createElement('span');
+        record.className = 'text-gray-300';
+        record.textContent = `+${opponent.wins} =${opponent.draws} -${opponent.losses} · ${formatDate(opponent.lastPlayed)}`;
+        item.append(name, record);
+        list.appendChild(item);
+    });
+}
+
+function renderOpenings(openings) {
+    const list = document.getElementById('openingsList');
+    list.innerHTML = '';
+
+    if (openings.length === 0) {
+        list.innerHTML = '<li class="text-gray-400">No book openings yet</li>';
+        return;
+    }
+
+    openings.forEach(entry => {
+        const item = document.createElement('li');
+        item.className = 'flex justify-between gap-2';
+        const name = document.createElement('span');
+        name.textContent = `${entry.color === 'white' ? '♔' : '♚'} ${entry.opening}`;
+        const record = document.createElement('span');
+        record.className = 'text-gray-300';
+        record.textContent = `${entry.games} game${entry.games === 1 ? '' : 's'} · ${formatScore(entry)}`;
+        item.append(name, record);
+        list.appendChild(item);
+    });
+}
+
+// Game archive
+
+function setupSearch() {
+    const form = document.getElementById('gameSearchForm');
+    const search = () => {
+        currentPage = 1;
+        loadGames();
+    };
+
+    form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        search();
+    });
+    document.getElementById('gameSearchInput').addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(search, SEARCH_DELAY);
+    });
+    document.getElementById('gameColorSelect').addEventListener('change', search);
+    document.getElementById('gameOutcomeSelect').addEventListener('change', search);
+
+    document.getElementById('prevPageBtn').addEventListener('click', () => {
+        currentPage--;
+        loadGames();
+    });
+    document.getElementById('nextPageBtn').addEventListener('click', () => {
+        currentPage++;
+        loadGames();
+    });
+}
+
+async function loadGames() {
+    const params = new URLSearchParams({ page: currentPage });
+    const filters = {
+        q: document.getElementById('gameSearchInput').value.trim(),
+        color: document.getElementById('gameColorSelect').value,
+        outcome: document.getElementById('gameOutcomeSelect').value
+    };
+    Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+    });
+
+    try {
+        const data = await fetchJson(`${apiUrl}/games?${params}`);
+        currentPage = data.page;
+        renderGames(data);
+    } catch (error) {
+        console.error('Failed to load games:', error);
+        showStatus(`Could not load the games: ${error.message}`);
+    }
+}
+
+function renderGames(data) {
+    const body = document.getElementById('gamesBody');
+    body.innerHTML = '';
+
+    if (data.games.length === 0) {
+        createEmptyRow(body, 6, 'No games found');
+    }
+
+    data.games.forEach(game => {
+        const row = document.createElement('tr');
+        row.title = 'Replay this game';
+        row.addEventListener('click', () => {
+            window.location.href = `/games/${encodeURIComponent(game.gameId)}`;
+        });
+
+        const opponent = createCell(`${game.color === 'white' ? '♔' : '♚'} `, 'text-left');
+        opponent.appendChild(document.createTextNode(game.opponent));
+
+        let result = OUTCOME_LABELS[game.outcome];
+        if (game.ratingChange) {
+            result += ` (${game.ratingChange.change >= 0 ? '+' : ''}${game.ratingChange.change})`;
+        }
+
+        const details = [game.timeControl, game.variant !== 'standard' ? game.variantName : null, game.rated ? 'Rated' : 'Casual', game.tournament]
+            .filter(Boolean)
+            .join(' · ');
+
+        row.append(
+            createCell(formatDate(game.endedAt), 'text-left'),
+            opponent,
+            createCell(result, `text-center outcome-${game.outcome}`),
+            createCell(details, 'text-left'),
+            createCell(game.opening || '-', 'text-left'),
+            createCell(game.moves, 'text-center')
+        );
+        body.appendChild(row);
+    });
+
+    document.getElementById('pageLabel').textContent = `Page ${data.page} of ${data.pages} · ${data.total} game${data.total === 1 ? '' : 's'}`;
+    document.getElementById('prevPageBtn').disabled = data.page <= 1;
+    document.getElementById('nextPageBtn').disabled = data.page >= data.pages;
+}
@@ -0,0 +1,282 @@
+// Tournament pages
+// Without an id: the list of events and a form to organise one. With an id:
+// live standings and pairings over the socket, registration, and the
+// organiser's start and result controls.
+
+const RESULT_LABELS = { '1-0': '1-0', '0-1': '0-1', '1/2-1/2': '½-½' };
+const STATUS_LABELS = { registering: 'Registration open', running: 'In progress', finished: 'Finished' };
+
+const { tournamentId, username } = window.tournamentConfig;
+let tournament = null;
+
+document.addEventListener('DOMContentLoaded', () => {
+    if (tournamentId) {
+        setupTournamentPage();
+    } else {
+        setupListPage();
+    }
+});
+
+function showStatus(message) {
+    const statusElement = document.getElementById('tournamentStatus');
+    statusElement.textContent = message;
+    statusElement.classList.toggle('hidden', !message);
+}
+
+// POST to the tournament API; resolves with the response body, or null after showing the error
+async function postJson(url, body = {}) {
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            showStatus(data.error || 'Request failed');
+            return null;
+        }
+        showStatus('');
+        return data;
+    } catch (error) {
+        console.error('Tournament request failed:', error);
+        showStatus('Could not reach the server');
+        return null;
+    }
+}
+
+function describeTournament(entry) {
+    const rounds = entry.status === 'registering'
+        ? `${entry.players} player${entry.players === 1 ? '' : 's'}`
+        : `Round ${entry.currentRound}/${entry.roundCount}`;
+    return [entry.formatName, entry.timeControl, entry.variantName, entry.rated ? 'Rated' : 'Casual', rounds].join(' · ');
+}
+
+// List page
+
+async function setupListPage() {
+    const form = document.getElementById('createTournamentForm');
+    if (form) {
+        const formatSelect = document.getElementById('tournamentFormatSelect');
+        formatSelect.addEventListener('change', () => {
+            document.getElementById('tournamentRoundsLabel').classList.toggle('hidden', formatSelect.value !== 'swiss');
+        });
+
+        form.addEventListener('submit', async (event) => {
+            event.preventDefault();
+            const data = await postJson('/api/tournaments', {
+                name: document.getElementById('tournamentNameInput').value,
+                format: formatSelect.value,
+                rounds: Number(document.getElementById('tournamentRoundsInput').value),
+                timeControl: { preset: document.getElementById('tournamentTimeControlSelect').value },
+                variant: document.getElementById('tournamentVariantSelect').value,
+                rated: document.getElementById('tournamentRatedInput').checked
+            });
+            if (data) {
+                window.location.href = `/tournaments/${encodeURIComponent(data.tournament.id)}`;
+            }
+        });
+    }
+
+    try {
+        const response = await fetch('/api/tournaments');
+        const data = await response.json();
+        renderTournamentList(data.tournaments);
+    } catch (error) {
+        console.error('Failed to load tournaments:', error);
+        showStatus('Could not load the tournaments');
+    }
+}
+
+function renderTournamentList(list) {
+    const listElement = document.getElementById('tournamentList');
+    listElement.innerHTML = '';
+
+    if (list.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'text-gray-400';
+        empty.textContent = 'No tournaments yet';
+        listElement.appendChild(empty);
+        return;
+    }
+
+    list.forEach(entry => {
+        const item = document.createElement('li');
+        const link = document.createElement('a');
+        link.href = `/tournaments/${encodeURIComponent(entry.id)}`;
+        link.className = 'font-semibold underline';
+        link.textContent = entry.name;
+        const status = document.createElement('span');
+        status.className = 'text-gray-400 ml-2';
+        status.textContent = STATUS_LABELS[entry.status];
+        const meta = document.createElement('div');
+        meta.className = 'text-xs text-gray-400';
+        meta.textContent = describeTournament(entry);
+        item.append(link, status, meta);
+        listElement.appendChild(item);
+    });
+}
+
+// Tournament page
+
+function setupTournamentPage() {
+    const socket = io({ reconnection: true });
+    socket.on('connect', () => socket.emit('joinTournament', tournamentId));
+    socket.on('tournamentUpdate', (update) => {
+        tournament = update;
+        renderTournament();
+    });
+
+    const apiUrl = `/api/tournaments/${encodeURIComponent(tournamentId)}`;
+    document.getElementById('joinTournamentBtn').addEventListener('click', () => postJson(`${apiUrl}/join`));
+    document.getElementById('leaveTournamentBtn').addEventListener('click', () => postJson(`${apiUrl}/leave`));
+    document.getElementById('startTournamentBtn').addEventListener('click', () => postJson(`${apiUrl}/start`));
+}
+
+function isOrganizer() {
+    return Boolean(username) && tournament.organizer === username;
+}
+
+function renderTournament() {
+    document.title = `${tournament.name} - Chess Game`;
+    document.getElementById('tournamentTitle').textContent = tournament.name;
+    document.getElementById('tournamentMeta').textContent =
+        `${describeTournament(tournament)} · ${STATUS_LABELS[tournament.status]} · Organised by ${tournament.organizer || 'unknown'}`;
+
+    renderStandings();
+    renderRegistrationControls();
+    renderRounds();
+}
+
+function renderStandings() {
+    const body = document.getElementById('standingsBody');
+    body.innerHTML = '';
+
+    tournament.standings.forEach(entry => {
+        const row = document.createElement('tr');
+        if (entry.username === username) row.className = 'me';
+        [
+            entry.rank,
+            ` (${entry.rating})`,
+            entry.points,
+            entry.buchholz,
+            entry.sonnebornBerger,
+            `${entry.wins}/${entry.draws}/${entry.losses}`
+        ].forEach((value, index) => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            if (index < 2) cell.className = 'text-left';
+            row.appendChild(cell);
+        });
+
+        // Player names link to their profiles
+        const link = document.createElement('a');
+        link.href = `/u/${encodeURIComponent(entry.username)}`;
+        link.className = 'underline';
+        link.textContent = entry.username;
+        row.children[1].prepend(link);
+        body.appendChild(row);
+    });
+}
+
+function renderRegistrationControls() {
+    const registering = tournament.status === 'registering';
+    const registered = tournament.entrants.some(entry => entry.username === username);
+
+    document.getElementById('joinTournamentBtn').classList.toggle('hidden', !(registering && username && !registered));
+    document.getElementById('leaveTournamentBtn').classList.toggle('hidden', !(registering && registered));
+    document.getElementById('startTournamentBtn').classList.toggle('hidden', !(registering && isOrganizer()));
+    document.getElementById('registrationControls').classList.toggle('hidden', !(registering && username));
+}
+
+function renderRounds() {
+    const list = document.getElementById('roundsList');
+    list.innerHTML = '';
+
+    if (tournament.rounds.length === 0) {
+        list.textContent = 'Pairings appear here once the organiser starts the tournament.';
+        return;
+    }
+
+    // Latest round first
+    [...tournament.rounds].reverse().forEach(round => {
+        const section = document.createElement('div');
+        const heading = document.createElement('h3');
+        heading.className = 'font-semibold mb-1';
+        heading.textContent = `Round ${round.number}`;
+        section.appendChild(heading);
+
+        round.pairings.forEach(pairing => section.appendChild(createPairingRow(round, pairing)));
+
+        if (round.bye) {
+            const bye = document.createElement('div');
+            bye.className = 'text-gray-400';
+            bye.textContent = `${round.bye} has a bye`;
+            section.appendChild(bye);
+        }
+        list.appendChild(section);
+    });
+}
+
+function createPairingRow(round, pairing) {
+    const row = document.createElement('div');
+    row.className = 'flex flex-wrap items-center justify-between gap-2 py-1 border-b border-white/10';
+
+    const players = document.createElement('span');
+    players.textContent = `${pairing.board}. ${pairing.white} - ${pairing.black}`;
+    row.appendChild(players);
+
+    const actions = document.createElement('span');
+    actions.className = 'flex items-center gap-2';
+
+    if (pairing.result) {
+        const result = document.createElement('span');
+        result.className = 'font-semibold';
+        result.textContent = RESULT_LABELS[pairing.result];
+        actions.appendChild(result);
+    }
+
+    // Players get a link to their own seat, everyone else watches
+    const link = document.createElement('a');
+    link.className = 'btn btn-secondary text-xs';
+    const role = pairing.white === username ? 'white' : pairing.black === username ? 'black' : 'spectator';
+    link.href = `/game?room=${encodeURIComponent(pairing.roomId)}&role=${role}`;
+    link.textContent = role === 'spectator' ? (pairing.result ? 'View' : 'Watch') : 'Play';
+    actions.appendChild(link);
+
+    const isCurrentRound = round.number === tournament.rounds.length && tournament.status === 'running';
+    if (!pairing.result && isCurrentRound && isOrganizer()) {
+        actions.appendChild(createResultPicker(pairing));
+    }
+
+    row.appendChild(actions);
+    return row;
+}
+
+// Organiser override for games that cannot be played out
+function createResultPicker(pairing) {
+    const select = document.createElement('select');
+    select.className = 'form-input text-xs';
+    select.setAttribute('aria-label', `Set the result of board ${pairing.board}`);
+
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = 'Set result';
+    select.appendChild(placeholder);
+    Object.entries(RESULT_LABELS).forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+
+    select.addEventListener('change', () => {
+        if (!select.value) return;
+        if (!confirm(`Set board ${pairing.board} to ${RESULT_LABELS[select.value]}?`)) {
+            select.value = '';
+            return;
+        }
+        postJson(`/api/tournaments/${encodeURIComponent(tournamentId)}/results`, { board: pairing.board, result: select.value });
+    });
+    return select;
+}
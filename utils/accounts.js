@@ -0,0 +1,166 @@
+/**
+ * User Accounts
+ * Registration, password hashing and signed session cookies.
+ * Passwords are hashed locally with scrypt; no external service is involved.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_COOKIE = 'chess_session';
+const SESSION_TTL_MS = 30 * 24 * 3600000; // 30 days
+const USERNAME_PATTERN = /^[A-Za-z0-9_-]{3,20}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 128;
+
+function parseCookies(header) {
+    const cookies = {};
+    if (!header) return cookies;
+
+    header.split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index === -1) return;
+
+        const name = part.slice(0, index).trim();
+        const value = part.slice(index + 1).trim();
+        try {
+            cookies[name] = decodeURIComponent(value);
+        } catch (error) {
+            cookies[name] = value;
+        }
+    });
+    return cookies;
+}
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, 64);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, salt, expected] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !expected) return false;
+
+    const hash = await scrypt(password, salt, 64);
+    const expectedBuffer = Buffer.from(expected, 'hex');
+    return expectedBuffer.length === hash.length && crypto.timingSafeEqual(expectedBuffer, hash);
+}
+
+class AccountManager {
+    constructor(store, secret) {
+        this.store = store;
+        this.users = new Map();       // id -> user
+        this.usernames = new Map();   // lowercase username -> id
+
+        if (!secret) {
+            console.warn('⚠️ SESSION_SECRET is not set - logins will not survive a restart');
+        }
+        this.secret = secret || crypto.randomBytes(32).toString('hex');
+    }
+
+    load(users) {
+        users.forEach(user => {
+            this.users.set(user.id, user);
+            this.usernames.set(user.username.toLowerCase(), user.id);
+        });
+    }
+
+    getUser(id) {
+        return this.users.get(id) || null;
+    }
+
+    findByUsername(username) {
+        if (typeof username !== 'string') return null;
+        return this.getUser(this.usernames.get(username.toLowerCase()));
+    }
+
+    // Returns { user } on success or { error } explaining why registration failed
+    async register(username, password) {
+        if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+            return { error: 'Username must be 3-20 letters, numbers, dashes or underscores' };
+        }
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            return { error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+        }
+        if (password.length > MAX_PASSWORD_LENGTH) {
+            return { error: `Password must be at most ${MAX_PASSWORD_LENGTH} characters` };
+        }
+        if (this.findByUsername(username)) {
+            return { error: 'Username is already taken' };
+        }
+
+        const passwordHash = await hashPassword(password);
+
+        // Re-check after the async hash in case of a concurrent registration
+        if (this.findByUsername(username)) {
+            return { error: 'Username is already taken' };
+        }
+
+        const user = {
+            id: crypto.randomUUID(),
+            username,
+            passwordHash,
+            createdAt: Date.now()
+        };
+        this.saveUser(user);
+        return { user };
+    }
+
+    saveUser(user) {
+        this.users.set(user.id, user);
+        this.usernames.set(user.username.toLowerCase(), user.id);
+        this.store.saveUser(user);
+    }
+
+    async authenticate(username, password) {
+        const user = this.findByUsername(username);
+        if (!user || typeof password !== 'string') return null;
+        return (await verifyPassword(password, user.passwordHash)) ? user : null;
+    }
+
+    sign(value) {
+        return crypto.createHmac('sha256', this.secret).update(value).digest('base64url');
+    }
+
+    createSessionToken(user) {
+        const payload = `${user.id}.${Date.now() + SESSION_TTL_MS}`;
+        return `${payload}.${this.sign(payload)}`;
+    }
+
+    verifySessionToken(token) {
+        if (typeof token !== 'string') return null;
+
+        const [userId, expires, signature] = token.split('.');
+        if (!userId || !expires || !signature) return null;
+
+        const expected = Buffer.from(this.sign(`${userId}.${expires}`));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+        if (Number(expires) < Date.now()) return null;
+
+        return this.getUser(userId);
+    }
+
+    // Resolve the logged-in user from a raw Cookie header (HTTP or Socket.IO handshake)
+    getUserFromCookieHeader(header) {
+        return this.verifySessionToken(parseCookies(header)[SESSION_COOKIE]);
+    }
+}
+
+// Public view of a user that is safe to send to clients
+function toPublicUser(user) {
+    return user ? { id: user.id, username: user.username } : null;
+}
+
+module.exports = {
+    AccountManager,
+    SESSION_COOKIE,
+    SESSION_TTL_MS,
+    parseCookies,
+    toPublicUser,
+    hashPassword,
+    verifyPassword
+};
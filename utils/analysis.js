@@ -0,0 +1,113 @@
+/**
+ * Post-game Analysis
+ * Replays a finished game through the engine, one position at a time, and
+ * classifies every move by how much evaluation it gave away compared with
+ * the engine's preferred move.
+ */
+
+const { createGame } = require('./variants');
+
+const ANALYSIS_DEPTH = 3;
+const POSITION_TIME_MS = 400;
+const EVALUATION_CAP = 1000; // Centipawns; past this the game is decided and losses stop counting
+
+// Largest threshold first
+const MOVE_CLASSIFICATIONS = [
+    { name: 'blunder', minLoss: 300 },
+    { name: 'mistake', minLoss: 100 },
+    { name: 'inaccuracy', minLoss: 50 }
+];
+
+function classifyMove(loss) {
+    const match = MOVE_CLASSIFICATIONS.find(classification => loss >= classification.minLoss);
+    return match ? match.name : null;
+}
+
+// Evaluation from White's point of view, with mates and crushing scores capped
+function cappedScore(evaluation) {
+    if (evaluation.mate !== null) {
+        return evaluation.score > 0 ? EVALUATION_CAP : -EVALUATION_CAP;
+    }
+    return Math.max(-EVALUATION_CAP, Math.min(EVALUATION_CAP, evaluation.score));
+}
+
+function summarize(moves, color) {
+    const own = moves.filter(move => move.color === color);
+    const summary = { averageLoss: 0, inaccuracy: 0, mistake: 0, blunder: 0 };
+
+    own.forEach(move => {
+        if (move.classification) summary[move.classification]++;
+    });
+    if (own.length > 0) {
+        summary.averageLoss = Math.round(own.reduce((total, move) => total + move.loss, 0) / own.length);
+    }
+    return summary;
+}
+
+/**
+ * Analyse an archived game record with an EngineWorker.
+ * onProgress(done, total) is called after every position.
+ */
+async function analyzeGame(record, engine, onProgress = () => {}) {
+    const variant = record.variant || 'standard';
+    const chess = createGame(variant);
+    chess.loadPgn(record.pgn || '');
+
+    const history = chess.history({ verbose: true });
+    const startFen = history.length > 0 ? history[0].before : chess.fen();
+    const fens = [startFen, ...history.map(move => move.after)];
+
+    // Three-check positions are judged with the checks given before them
+    const evaluations = [];
+    const checks = { white: 0, black: 0 };
+    for (const [index, fen] of fens.entries()) {
+        evaluations.push(await engine.analyze(fen, { depth: ANALYSIS_DEPTH, timeLimitMs: POSITION_TIME_MS, variant, checks: { ...checks } }));
+        onProgress(evaluations.length, fens.length);
+
+        const move = history[index];
+        if (move && /[+#]$/.test(move.san)) {
+            checks[move.color === 'w' ? 'white' : 'black']++;
+        }
+    }
+
+    const moves = history.map((move, index) => {
+        const before = evaluations[index];
+        const after = evaluations[index + 1];
+        const sign = move.color === 'w' ? 1 : -1;
+
+        // Evaluation the mover gave away; the engine's own choice never counts as a loss
+        const loss = move.san === before.bestMove
+            ? 0
+            : Math.max(0, sign * (cappedScore(before) - cappedScore(after)));
+
+        return {
+            ply: index + 1,
+            san: move.san,
+            color: move.color,
+            from: move.from,
+            to: move.to,
+            fen: move.after,
+            evaluation: after.score,
+            mate: after.mate,
+            bestMove: before.bestMove,
+            loss,
+            classification: classifyMove(loss)
+        };
+    });
+
+    return {
+        gameId: record.gameId,
+        startFen,
+        initialEvaluation: { score: evaluations[0].score, mate: evaluations[0].mate },
+        moves,
+        summary: { white: summarize(moves, 'w'), black: summarize(moves, 'b') },
+        analyzedAt: Date.now()
+    };
+}
+
+module.exports = {
+    analyzeGame,
+    classifyMove,
+    MOVE_CLASSIFICATIONS,
+    EVALUATION_CAP
+};
@@ -0,0 +1,35 @@
+/**
+ * Chat Filter
+ * Masks profanity in chat messages. Words are matched whole and case
+ * insensitively, so harmless words that merely contain a listed word
+ * ("class", "scrap") are left alone.
+ */
+
+const BLOCKED_WORDS = [
+    'arse', 'arsehole', 'ass', 'asshole', 'bastard', 'bitch', 'bollocks',
+    'bullshit', 'crap', 'cunt', 'damn', 'dick', 'dickhead', 'fuck', 'fucked',
+    'fucker', 'fucking', 'motherfucker', 'piss', 'pissed', 'prick', 'shit',
+    'shitty', 'slut', 'twat', 'wanker', 'whore'
+];
+
+const BLOCKED_PATTERN = new RegExp(`\\b(${BLOCKED_WORDS.join('|')})\\b`, 'gi');
+
+// Keep the first letter so the message still reads naturally
+function maskWord(word) {
+    return word.charAt(0) + '*'.repeat(word.length - 1);
+}
+
+function filterProfanity(message) {
+    return message.replace(BLOCKED_PATTERN, maskWord);
+}
+
+function containsProfanity(message) {
+    BLOCKED_PATTERN.lastIndex = 0;
+    return BLOCKED_PATTERN.test(message);
+}
+
+module.exports = {
+    filterProfanity,
+    containsProfanity,
+    BLOCKED_WORDS
+};
@@ -0,0 +1,371 @@
+/**
+ * Chess960
+ * chess.js with Chess960 castling. chess.js only knows castling from e1/e8
+ * with rooks in the corners, so its own castling rights are kept empty and
+ * the rook files each side may still castle with are tracked here instead.
+ *
+ * A castling move is written as the king "capturing" its own rook
+ * ({ from: 'b1', to: 'a1' }), which is the only unambiguous form in 960.
+ * Moving the king to its g- or c-file destination works too when the king has
+ * no ordinary move to that square. FENs use X-FEN castling fields: KQkq for
+ * the outermost rooks, otherwise the rook's file letter.
+ *
+ * Shared by the server and the game page: Node gets the class built on
+ * chess.js from node_modules, the browser calls createChess960(Chess) once
+ * chess.js has loaded.
+ */
+
+(function (root) {
+    // chess.js internal move flags and empty-square marker
+    const KSIDE_CASTLE = 32;
+    const QSIDE_CASTLE = 64;
+    const NULL_MOVE = 128;
+    const CASTLING = KSIDE_CASTLE | QSIDE_CASTLE;
+    const EMPTY = -1;
+
+    const FILES = 'abcdefgh';
+    const SIDES = {
+        k: { flag: KSIDE_CASTLE, kingFile: 6, rookFile: 5 },
+        q: { flag: QSIDE_CASTLE, kingFile: 2, rookFile: 3 }
+    };
+
+    // 0x88 square index <-> algebraic, as chess.js uses internally
+    const toIndex = (file, row) => row * 16 + file;
+    const toAlgebraic = (index) => FILES[index & 7] + (8 - (index >> 4));
+    const backRow = (color) => (color === 'w' ? 7 : 0);
+    const otherColor = (color) => (color === 'w' ? 'b' : 'w');
+
+    // Zobrist keys for the 960 castling rights, so repetitions tell positions
+    // with different rights apart: [color][side][rook file]
+    const RIGHTS_KEYS = (() => {
+        let state = 0x2545f4914f6cdd1dn;
+        const next = () => {
+            state = (state * 6364136223846793005n + 1442695040888963407n) & 0xffffffffffffffffn;
+            return state;
+        };
+        const keys = {};
+        ['w', 'b'].forEach(color => {
+            keys[color] = { k: [], q: [] };
+            ['k', 'q'].forEach(side => {
+                for (let file = 0; file < 8; file++) keys[color][side].push(next());
+            });
+        });
+        return keys;
+    })();
+
+    function noRights() {
+        return { w: { k: null, q: null }, b: { k: null, q: null } };
+    }
+
+    // Pieces of one FEN rank as an array of 8 characters (null for empty)
+    function expandRank(rank) {
+        const squares = [];
+        for (const char of rank || '') {
+            if (/[1-8]/.test(char)) {
+                for (let i = 0; i < Number(char); i++) squares.push(null);
+            } else {
+                squares.push(char);
+            }
+        }
+        return squares;
+    }
+
+    // Read X-FEN (or Shredder-FEN) castling rights against the back ranks
+    function parseCastlingRights(placement, field) {
+        const rights = noRights();
+        const ranks = placement.split('/');
+
+        ['w', 'b'].forEach(color => {
+            const squares = expandRank(color === 'w' ? ranks[7] : ranks[0]);
+            const king = color === 'w' ? 'K' : 'k';
+            const rook = color === 'w' ? 'R' : 'r';
+            const kingFile = squares.indexOf(king);
+            if (kingFile === -1) return;
+
+            const rookFiles = squares.map((piece, file) => (piece === rook ? file : null)).filter(file => file !== null);
+            for (const char of field) {
+                if ((char === char.toUpperCase()) !== (color === 'w')) continue;
+
+                const letter = char.toUpperCase();
+                let file = null;
+                if (letter === 'K') {
+                    file = rookFiles.filter(candidate => candidate > kingFile).pop();
+                } else if (letter === 'Q') {
+                    file = rookFiles.find(candidate => candidate < kingFile);
+                } else if (rookFiles.includes(FILES.indexOf(letter.toLowerCase()))) {
+                    file = FILES.indexOf(letter.toLowerCase());
+                }
+
+                if (file !== undefined && file !== null && file !== kingFile) {
+                    rights[color][file > kingFile ? 'k' : 'q'] = file;
+                }
+            }
+        });
+        return rights;
+    }
+
+    // chess.js internals the class below overrides or calls; they are only
+    // known to match in chess.js 1.4.x
+    const REQUIRED_INTERNALS = ['_moves', '_makeMove', '_undoMove', '_push', '_computeHash', '_attacked'];
+
+    function createChess960(Chess) {
+        if (REQUIRED_INTERNALS.some(name => typeof Chess.prototype[name] !== 'function')) {
+            throw new Error('Chess960 needs chess.js 1.4.x');
+        }
+
+        return class Chess960 extends Chess {
+            load(fen, options = {}) {
+                const fields = typeof fen === 'string' ? fen.trim().split(/\s+/) : [];
+                const castling = fields[2] || '-';
+                if (!/^(-|[KQkqA-Ha-h]{1,4})$/.test(castling)) {
+                    throw new Error('Invalid FEN: castling availability is invalid');
+                }
+
+                // Set before chess.js hashes the new position
+                this._rights = parseCastlingRights(fields[0] || '', castling);
+                if (fields.length > 2) fields[2] = '-';
+                super.load(fields.join(' '), options);
+
+                // chess.js recorded the FEN without castling rights
+                this._updateSetup(this.fen());
+            }
+
+            fen(options) {
+                const fields = super.fen(options).split(' ');
+                fields[2] = this._castlingField();
+                return fields.join(' ');
+            }
+
+            // Castling rights with their rook files, e.g. { w: { k: 'h', q: 'b' }, b: ... }
+            castlingRooks() {
+                const rights = this._rights || noRights();
+                const files = (color) => ({
+                    k: rights[color].k === null ? null : FILES[rights[color].k],
+                    q: rights[color].q === null ? null : FILES[rights[color].q]
+                });
+                return { w: files('w'), b: files('b') };
+            }
+
+            move(move, options) {
+                if (move && typeof move === 'object') {
+                    move = this._resolveCastlingTarget(move);
+                }
+                return super.move(move, options);
+            }
+
+            _castlingField() {
+                const rights = this._rights || noRights();
+                let field = '';
+
+                ['w', 'b'].forEach(color => {
+                    const rookFiles = [];
+                    for (let file = 0; file < 8; file++) {
+                        const piece = this._board[toIndex(file, backRow(color))];
+                        if (piece && piece.type === 'r' && piece.color === color) rookFiles.push(file);
+                    }
+
+                    ['k', 'q'].forEach(side => {
+                        const file = rights[color][side];
+                        if (file === null) return;
+
+                        // The letter is only needed when another rook stands further out
+                        const outermost = side === 'k'
+                            ? !rookFiles.some(other => other > file)
+                            : !rookFiles.some(other => other < file);
+                        const char = outermost ? side : FILES[file];
+                        field += color === 'w' ? char.toUpperCase() : char;
+                    });
+                });
+                return field || '-';
+            }
+
+            _rightsKey() {
+                if (!this._rights) return 0n;
+
+                let key = 0n;
+                ['w', 'b'].forEach(color => {
+                    ['k', 'q'].forEach(side => {
+                        const file = this._rights[color][side];
+                        if (file !== null) key ^= RIGHTS_KEYS[color][side][file];
+                    });
+                });
+                return key;
+            }
+
+            _computeHash() {
+                return super._computeHash() ^ this._rightsKey();
+            }
+
+            _push(move) {
+                super._push(move);
+                this._history[this._history.length - 1].rights = this._rights;
+            }
+
+            // Legal (or pseudo-legal) castling moves for the side to move
+            _castlingMoves(legal) {
+                const us = this._turn;
+                const them = otherColor(us);
+                const row = backRow(us);
+                const kingSquare = this._kings[us];
+                const moves = [];
+                if (kingSquare === EMPTY || kingSquare >> 4 !== row || !this._rights) return moves;
+
+                ['k', 'q'].forEach(side => {
+                    const rookFile = this._rights[us][side];
+                    if (rookFile === null) return;
+
+                    const rookSquare = toIndex(rookFile, row);
+                    const rook = this._board[rookSquare];
+                    if (!rook || rook.type !== 'r' || rook.color !== us) return;
+
+                    const kingTo = toIndex(SIDES[side].kingFile, row);
+                    const rookTo = toIndex(SIDES[side].rookFile, row);
+
+                    // Everything between the four squares must be empty, apart from the castling pair
+                    const first = Math.min(kingSquare, rookSquare, kingTo, rookTo);
+                    const last = Math.max(kingSquare, rookSquare, kingTo, rookTo);
+                    for (let square = first; square <= last; square++) {
+                        if (square !== kingSquare && square !== rookSquare && this._board[square]) return;
+                    }
+
+                    // The king may not start in, pass through or land on an attacked square
+                    if (legal) {
+                        const king = this._board[kingSquare];
+                        delete this._board[kingSquare];
+                        delete this._board[rookSquare];
+                        let attacked = false;
+                        for (let square = Math.min(kingSquare, kingTo); square <= Math.max(kingSquare, kingTo); square++) {
+                            if (this._attacked(them, square)) {
+                                attacked = true;
+                                break;
+                            }
+                        }
+                        this._board[kingSquare] = king;
+                        this._board[rookSquare] = rook;
+                        if (attacked) return;
+                    }
+
+                    moves.push({ color: us, from: kingSquare, to: rookSquare, piece: 'k', flags: SIDES[side].flag });
+                });
+                return moves;
+            }
+
+            _moves(options = {}) {
+                const moves = super._moves(options);
+                const forPiece = options.piece && options.piece.toLowerCase();
+                const forSquare = options.square && options.square.toLowerCase();
+                if (forPiece && forPiece !== 'k') return moves;
+
+                const kingSquare = this._kings[this._turn];
+                if (kingSquare === EMPTY || (forSquare && forSquare !== toAlgebraic(kingSquare))) return moves;
+
+                return moves.concat(this._castlingMoves(options.legal !== false));
+            }
+
+            _makeMove(move) {
+                if (move.flags & CASTLING) {
+                    this._makeCastlingMove(move);
+                    return;
+                }
+
+                const us = this._turn;
+                const them = otherColor(us);
+                super._makeMove(move);
+                if (move.flags & NULL_MOVE) return;
+
+                // A king move gives up both rights, a rook leaving or captured on its square one
+                const rights = { w: { ...this._rights.w }, b: { ...this._rights.b } };
+                if (move.piece === 'k') {
+                    rights[us] = { k: null, q: null };
+                }
+                ['k', 'q'].forEach(side => {
+                    if (rights[us][side] !== null && move.from === toIndex(rights[us][side], backRow(us))) {
+                        rights[us][side] = null;
+                    }
+                    if (rights[them][side] !== null && move.to === toIndex(rights[them][side], backRow(them))) {
+                        rights[them][side] = null;
+                    }
+                });
+                this._rights = rights;
+                this._hash = this._computeHash();
+            }
+
+            _makeCastlingMove(move) {
+                const us = this._turn;
+                const row = move.from >> 4;
+                const side = move.flags & KSIDE_CASTLE ? 'k' : 'q';
+                const kingTo = toIndex(SIDES[side].kingFile, row);
+                const rookTo = toIndex(SIDES[side].rookFile, row);
+
+                this._push(move);
+                delete this._board[move.from];
+                delete this._board[move.to];
+                this._board[kingTo] = { type: 'k', color: us };
+                this._board[rookTo] = { type: 'r', color: us };
+                this._kings = { ...this._kings, [us]: kingTo };
+                this._rights = { ...this._rights, [us]: { k: null, q: null } };
+
+                this._epSquare = EMPTY;
+                this._halfMoves++;
+                if (us === 'b') this._moveNumber++;
+                this._turn = otherColor(us);
+                this._hash = this._computeHash();
+            }
+
+            _undoMove() {
+                const old = this._history[this._history.length - 1];
+                if (!old) return null;
+
+                if (!(old.move.flags & CASTLING)) {
+                    const move = super._undoMove();
+                    this._rights = old.rights;
+                    this._hash = this._computeHash();
+                    return move;
+                }
+
+                this._history.pop();
+                const move = old.move;
+                const row = move.from >> 4;
+                const side = move.flags & KSIDE_CASTLE ? 'k' : 'q';
+                delete this._board[toIndex(SIDES[side].kingFile, row)];
+                delete this._board[toIndex(SIDES[side].rookFile, row)];
+                this._board[move.from] = { type: 'k', color: old.turn };
+                this._board[move.to] = { type: 'r', color: old.turn };
+
+                this._kings = old.kings;
+                this._turn = old.turn;
+                this._castling = old.castling;
+                this._epSquare = old.epSquare;
+                this._halfMoves = old.halfMoves;
+                this._moveNumber = old.moveNumber;
+                this._rights = old.rights;
+                this._hash = this._computeHash();
+                return move;
+            }
+
+            // { from: king, to: g1/c1 } means castling when the king has no ordinary move there
+            _resolveCastlingTarget(move) {
+                const kingSquare = this._kings[this._turn];
+                if (kingSquare === EMPTY || move.from !== toAlgebraic(kingSquare)) return move;
+
+                const ordinary = super._moves({ square: move.from }).some(candidate => toAlgebraic(candidate.to) === move.to);
+                if (ordinary) return move;
+
+                const castling = this._castlingMoves(true).find(candidate => {
+                    const side = candidate.flags & KSIDE_CASTLE ? 'k' : 'q';
+                    return toAlgebraic(toIndex(SIDES[side].kingFile, kingSquare >> 4)) === move.to;
+                });
+                return castling ? { from: move.from, to: toAlgebraic(castling.to) } : move;
+            }
+        };
+    }
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = {
+            createChess960,
+            Chess960: createChess960(require('chess.js').Chess)
+        };
+    } else {
+        root.createChess960 = createChess960;
+    }
+})(this);
@@ -0,0 +1,82 @@
+/**
+ * ECO Openings
+ * Names the opening of a game from the bundled ECO table in eco.tsv (code,
+ * name and move sequence per line). Lines are indexed by the position they
+ * reach, so a game that transposes into a book line is still recognised.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Chess, DEFAULT_POSITION } = require('chess.js');
+
+const ECO_FILE = path.join(__dirname, 'eco.tsv');
+
+let book = null;     // position key -> { eco, name }
+let bookDepth = 0;   // Plies in the longest book line; no later position can match
+
+// Board, side to move, castling and en passant: the move counters do not change the opening
+function getPositionKey(fen) {
+    return fen.split(' ').slice(0, 4).join(' ');
+}
+
+function loadBook() {
+    book = new Map();
+    const lines = fs.readFileSync(ECO_FILE, 'utf8').trim().split('\n').slice(1);
+
+    lines.forEach(line => {
+        const [eco, name, pgn] = line.split('\t');
+        const chess = new Chess();
+        try {
+            pgn.split(' ').filter(token => !/^\d+\.$/.test(token)).forEach(san => chess.move(san));
+        } catch (error) {
+            console.warn(`Skipping ECO line ${eco} ${name}:`, error.message);
+            return;
+        }
+
+        const key = getPositionKey(chess.fen());
+        if (!book.has(key)) {
+            book.set(key, { eco, name });
+        }
+        bookDepth = Math.max(bookDepth, chess.history().length);
+    });
+    return book;
+}
+
+// Opening of an exact position, or null when it is not a book position
+function lookupPosition(fen) {
+    return (book || loadBook()).get(getPositionKey(fen)) || null;
+}
+
+/**
+ * The opening of a standard game: the last book position it reached.
+ * `moves` are SAN strings played from `startFen`. Returns { eco, name } or
+ * null when the game never reached a book position.
+ */
+function classifyMoves(moves, startFen = DEFAULT_POSITION) {
+    if (!book) loadBook();
+
+    const chess = new Chess(startFen);
+    let opening = null;
+    for (const san of moves.slice(0, bookDepth)) {
+        try {
+            chess.move(san);
+        } catch (error) {
+            break;
+        }
+        opening = lookupPosition(chess.fen()) || opening;
+    }
+    return opening;
+}
+
+// Opening of a room or archived game record; variants have no ECO codes
+function classifyGame(record) {
+    if ((record.variant || 'standard') !== 'standard') return null;
+    return classifyMoves((record.moveHistory || []).map(entry => entry.move), record.startFen || DEFAULT_POSITION);
+}
+
+module.exports = {
+    getPositionKey,
+    lookupPosition,
+    classifyMoves,
+    classifyGame
+};
@@ -0,0 +1,427 @@
+/**
+ * Computer Opponent
+ * A small chess engine on top of chess.js move generation: iterative-deepening
+ * alpha-beta search with a quiescence search over captures, and an evaluation
+ * of material plus piece-square tables. Searches run in a worker thread so the
+ * server keeps handling sockets while the computer thinks. Variants are played
+ * by their own rules: Chess960 castling, and the King of the Hill and
+ * Three-check wins end the search like a mate.
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { createGame, HILL_SQUARES, CHECKS_TO_WIN } = require('./variants');
+
+// depth: deepest iteration; randomness: centipawns of noise on root moves;
+// timeMs: thinking time when the clock allows it
+const ENGINE_LEVELS = {
+    1: { name: 'Beginner', depth: 1, randomness: 200, timeMs: 500 },
+    2: { name: 'Casual', depth: 2, randomness: 80, timeMs: 1000 },
+    3: { name: 'Club', depth: 3, randomness: 30, timeMs: 2000 },
+    4: { name: 'Strong', depth: 4, randomness: 10, timeMs: 4000 },
+    5: { name: 'Expert', depth: 6, randomness: 0, timeMs: 8000 }
+};
+
+const PIECE_VALUES = { p: 100, n: 320, b: 330, r: 500, q: 900, k: 0 };
+const MATE_SCORE = 100000;
+const MAX_QUIESCENCE_DEPTH = 4;
+const HILL_DISTANCE_BONUS = 25;         // King of the Hill: per step the king is closer to the centre
+const CHECK_BONUSES = [0, 150, 400];    // Three-check: by the number of checks already given
+const TIMEOUT = Symbol('search timeout');
+
+// Piece-square tables from White's point of view, rank 8 first (same
+// orientation as chess.board()). Mirrored vertically for Black.
+const PIECE_SQUARE_TABLES = {
+    p: [
+        [0, 0, 0, 0, 0, 0, 0, 0],
+        [50, 50, 50, 50, 50, 50, 50, 50],
+        [10, 10, 20, 30, 30, 20, 10, 10],
+        [5, 5, 10, 25, 25, 10, 5, 5],
+        [0, 0, 0, 20, 20, 0, 0, 0],
+        [5, -5, -10, 0, 0, -10, -5, 5],
+        [5, 10, 10, -20, -20, 10, 10, 5],
+        [0, 0, 0, 0, 0, 0, 0, 0]
+    ],
+    n: [
+        [-50, -40, -30, -30, -30, -30, -40, -50],
+        [-40, -20, 0, 0, 0, 0, -20, -40],
+        [-30, 0, 10, 15, 15, 10, 0, -30],
+        [-30, 5, 15, 20, 20, 15, 5, -30],
+        [-30, 0, 15, 20, 20, 15, 0, -30],
+        [-30, 5, 10, 15, 15, 10, 5, -30],
+        [-40, -20, 0, 5, 5, 0, -20, -40],
+        [-50, -40, -30, -30, -30, -30, -40, -50]
+    ],
+    b: [
+        [-20, -10, -10, -10, -10, -10, -10, -20],
+        [-10, 0, 0, 0, 0, 0, 0, -10],
+        [-10, 0, 5, 10, 10, 5, 0, -10],
+        [-10, 5, 5, 10, 10, 5, 5, -10],
+        [-10, 0, 10, 10, 10, 10, 0, -10],
+        [-10, 10, 10, 10, 10, 10, 10, -10],
+        [-10, 5, 0, 0, 0, 0, 5, -10],
+        [-20, -10, -10, -10, -10, -10, -10, -20]
+    ],
+    r: [
+        [0, 0, 0, 0, 0, 0, 0, 0],
+        [5, 10, 10, 10, 10, 10, 10, 5],
+        [-5, 0, 0, 0, 0, 0, 0, -5],
+        [-5, 0, 0, 0, 0, 0, 0, -5],
+        [-5, 0, 0, 0, 0, 0, 0, -5],
+        [-5, 0, 0, 0, 0, 0, 0, -5],
+        [-5, 0, 0, 0, 0, 0, 0, -5],
+        [0, 0, 0, 5, 5, 0, 0, 0]
+    ],
+    q: [
+        [-20, -10, -10, -5, -5, -10, -10, -20],
+        [-10, 0, 0, 0, 0, 0, 0, -10],
+        [-10, 0, 5, 5, 5, 5, 0, -10],
+        [-5, 0, 5, 5, 5, 5, 0, -5],
+        [0, 0, 5, 5, 5, 5, 0, -5],
+        [-10, 5, 5, 5, 5, 5, 0, -10],
+        [-10, 0, 5, 0, 0, 0, 0, -10],
+        [-20, -10, -10, -5, -5, -10, -10, -20]
+    ],
+    k: [
+        [-30, -40, -40, -50, -50, -40, -40, -30],
+        [-30, -40, -40, -50, -50, -40, -40, -30],
+        [-30, -40, -40, -50, -50, -40, -40, -30],
+        [-30, -40, -40, -50, -50, -40, -40, -30],
+        [-20, -30, -30, -40, -40, -30, -30, -20],
+        [-10, -20, -20, -20, -20, -20, -20, -10],
+        [20, 20, 0, 0, 0, 0, 20, 20],
+        [20, 30, 10, 0, 0, 10, 30, 20]
+    ]
+};
+
+// Variant rules the search plays by; Three-check also needs the checks given
+// so far. options: { variant, checks: { white, black } }
+function createVariantState({ variant = 'standard', checks } = {}) {
+    return {
+        variant,
+        checks: { w: (checks && checks.white) || 0, b: (checks && checks.black) || 0 }
+    };
+}
+
+// King steps from a square to the nearest hill square
+function getHillDistance(square) {
+    const file = square.charCodeAt(0) - 97;
+    const rank = Number(square[1]) - 1;
+    return Math.max(Math.max(0, 3 - file, file - 4), Math.max(0, 3 - rank, rank - 4));
+}
+
+// Has the side that just moved won by the variant's extra rule?
+function hasVariantWin(chess, state) {
+    const mover = chess.turn() === 'w' ? 'b' : 'w';
+    if (state.variant === 'kingOfTheHill') {
+        const [king] = chess.findPiece({ type: 'k', color: mover });
+        return HILL_SQUARES.includes(king);
+    }
+    if (state.variant === 'threeCheck') {
+        return state.checks[mover] >= CHECKS_TO_WIN;
+    }
+    return false;
+}
+
+// Moves made during the search keep the Three-check count up to date
+function makeMove(chess, san, state) {
+    const color = chess.turn();
+    chess.move(san);
+    if (/[+#]$/.test(san)) state.checks[color]++;
+}
+
+function unmakeMove(chess, san, state) {
+    chess.undo();
+    if (/[+#]$/.test(san)) state.checks[chess.turn()]--;
+}
+
+// Static evaluation in centipawns from the side to move's point of view
+function evaluatePosition(chess, state) {
+    let score = 0;
+    chess.board().forEach((rank, row) => {
+        rank.forEach((piece, file) => {
+            if (!piece) return;
+            const table = PIECE_SQUARE_TABLES[piece.type];
+            const value = PIECE_VALUES[piece.type] + (piece.color === 'w' ? table[row][file] : table[7 - row][file]);
+            score += piece.color === 'w' ? value : -value;
+        });
+    });
+
+    if (state.variant === 'kingOfTheHill') {
+        ['w', 'b'].forEach(color => {
+            const [king] = chess.findPiece({ type: 'k', color });
+            const bonus = king ? Math.max(0, 4 - getHillDistance(king)) * HILL_DISTANCE_BONUS : 0;
+            score += color === 'w' ? bonus : -bonus;
+        });
+    }
+    if (state.variant === 'threeCheck') {
+        const bonus = (color) => CHECK_BONUSES[Math.min(state.checks[color], CHECK_BONUSES.length - 1)];
+        score += bonus('w') - bonus('b');
+    }
+    return chess.turn() === 'w' ? score : -score;
+}
+
+// Static evaluation of a game position; options as for createVariantState
+function evaluate(chess, options) {
+    return evaluatePosition(chess, createVariantState(options));
+}
+
+// Order SAN moves so likely-best ones are searched first: promotions, then
+// captures by most valuable victim / least valuable attacker, then checks
+function scoreMove(chess, san) {
+    let score = 0;
+    if (san.includes('=')) score += 800;
+    if (san.includes('x')) {
+        const target = san.match(/([a-h][1-8])(?!.*[a-h][1-8])/);
+        const victim = target && chess.get(target[1]);
+        const attacker = /^[NBRQK]/.test(san) ? san[0].toLowerCase() : 'p';
+        score += 1000 + (victim ? PIECE_VALUES[victim.type] : PIECE_VALUES.p) - PIECE_VALUES[attacker] / 10;
+    }
+    if (san.includes('+')) score += 50;
+    return score;
+}
+
+function orderMoves(chess, moves, firstMove) {
+    return moves
+        .map(san => ({ san, score: san === firstMove ? Infinity : scoreMove(chess, san) }))
+        .sort((a, b) => b.score - a.score)
+        .map(entry => entry.san);
+}
+
+function checkDeadline(context) {
+    context.nodes++;
+    if ((context.nodes & 127) === 0 && Date.now() > context.deadline) {
+        throw TIMEOUT;
+    }
+}
+
+// Only captures and promotions, so the search never stops mid-exchange
+function quiesce(chess, alpha, beta, depth, ply, context) {
+    checkDeadline(context);
+    if (hasVariantWin(chess, context.state)) return -MATE_SCORE + ply;
+
+    const standPat = evaluatePosition(chess, context.state);
+    if (standPat >= beta) return beta;
+    if (standPat > alpha) alpha = standPat;
+    if (depth >= MAX_QUIESCENCE_DEPTH) return alpha;
+
+    const captures = chess.moves().filter(san => san.includes('x') || san.includes('='));
+    for (const san of orderMoves(chess, captures)) {
+        makeMove(chess, san, context.state);
+        let score;
+        try {
+            score = -quiesce(chess, -beta, -alpha, depth + 1, ply + 1, context);
+        } finally {
+            unmakeMove(chess, san, context.state);
+        }
+
+        if (score >= beta) return beta;
+        if (score > alpha) alpha = score;
+    }
+    return alpha;
+}
+
+function negamax(chess, depth, alpha, beta, ply, context) {
+    checkDeadline(context);
+    if (hasVariantWin(chess, context.state)) return -MATE_SCORE + ply;
+
+    const moves = chess.moves();
+    if (moves.length === 0) {
+        // Prefer quicker mates and slower losses
+        return chess.inCheck() ? -MATE_SCORE + ply : 0;
+    }
+    if (chess.isInsufficientMaterial()) return 0;
+    if (depth === 0) return quiesce(chess, alpha, beta, 0, ply, context);
+
+    for (const san of orderMoves(chess, moves)) {
+        makeMove(chess, san, context.state);
+        let score;
+        try {
+            score = -negamax(chess, depth - 1, -beta, -alpha, ply + 1, context);
+        } finally {
+            unmakeMove(chess, san, context.state);
+        }
+
+        if (score >= beta) return beta;
+        if (score > alpha) alpha = score;
+    }
+    return alpha;
+}
+
+// Iterative deepening over the root moves. Keeps the best move of the last
+// completed iteration, so running out of time never loses the previous answer.
+// Returns { san, score } with the score from the side to move's point of view.
+function runSearch(chess, rootMoves, { depth: maxDepth, randomness, timeLimit, state }) {
+    const context = { nodes: 0, deadline: Date.now() + timeLimit, state };
+    let best = { san: rootMoves[Math.floor(Math.random() * rootMoves.length)], score: 0 };
+
+    for (let depth = 1; depth <= maxDepth; depth++) {
+        let iterationBest = null;
+        let iterationScore = -Infinity;
+        let alpha = -Infinity;
+
+        // Weaker levels pick at random among moves within `margin` of the best,
+        // so those moves must be searched with a window wide enough to score exactly
+        const margin = 2 * randomness;
+
+        try {
+            for (const san of orderMoves(chess, rootMoves, best.san)) {
+                makeMove(chess, san, state);
+                let score;
+                try {
+                    score = -negamax(chess, depth - 1, -Infinity, -(alpha - margin), 1, context);
+                } finally {
+                    unmakeMove(chess, san, state);
+                }
+
+                const noisyScore = score + (Math.random() - 0.5) * margin;
+                if (iterationBest === null || (score > alpha - margin && noisyScore > iterationScore)) {
+                    iterationScore = noisyScore;
+                    iterationBest = { san, score };
+                }
+                if (score > alpha) alpha = score;
+            }
+        } catch (error) {
+            if (error === TIMEOUT) break;
+            throw error;
+        }
+
+        best = iterationBest;
+        if (Math.abs(best.score) > MATE_SCORE - 100) break; // Forced mate found
+    }
+
+    return best;
+}
+
+/**
+ * Pick a move for the side to move.
+ * options: { level: 1-5, timeLimitMs, variant, checks: { white, black } }
+ * Returns { from, to, promotion } or null when there is no legal move.
+ * Chess960 castling comes back as the king moving onto its rook.
+ */
+function searchBestMove(fen, options = {}) {
+    const level = ENGINE_LEVELS[options.level] || ENGINE_LEVELS[3];
+    const timeLimit = Math.max(50, Math.min(options.timeLimitMs || level.timeMs, level.timeMs));
+    const chess = createGame(options.variant || 'standard', fen);
+    const state = createVariantState(options);
+    const rootMoves = chess.moves();
+    if (rootMoves.length === 0 || hasVariantWin(chess, state)) return null;
+
+    const { san } = runSearch(chess, rootMoves, { depth: level.depth, randomness: level.randomness, timeLimit, state });
+    const move = chess.move(san);
+    return { from: move.from, to: move.to, promotion: move.promotion };
+}
+
+/**
+ * Evaluate a position at full strength.
+ * options: { depth, timeLimitMs, variant, checks: { white, black } }
+ * Returns { bestMove: san|null, score, mate } from White's point of view:
+ * score in centipawns, mate in moves (negative when Black mates) or null.
+ * A variant win counts as mate.
+ */
+function analyzePosition(fen, options = {}) {
+    const chess = createGame(options.variant || 'standard', fen);
+    const state = createVariantState(options);
+    const sign = chess.turn() === 'w' ? 1 : -1;
+    const rootMoves = chess.moves();
+    const variantWin = hasVariantWin(chess, state);
+
+    if (rootMoves.length === 0 || variantWin) {
+        const mated = variantWin || chess.inCheck();
+        return { bestMove: null, score: mated ? -sign * MATE_SCORE : 0, mate: mated ? 0 : null };
+    }
+
+    const { san, score } = runSearch(chess, rootMoves, {
+        depth: options.depth || 3,
+        randomness: 0,
+        timeLimit: options.timeLimitMs || 500,
+        state
+    });
+
+    // MATE_SCORE - score is the number of plies to mate
+    const mate = Math.abs(score) > MATE_SCORE - 100
+        ? Math.sign(score) * sign * Math.ceil((MATE_SCORE - Math.abs(score)) / 2)
+        : null;
+    return { bestMove: san, score: sign * score, mate };
+}
+
+// Thinking time for one move: the level's budget, cut down so the computer
+// never spends more than a small slice of its remaining clock
+function getThinkTime(level, clock) {
+    const budget = (ENGINE_LEVELS[level] || ENGINE_LEVELS[3]).timeMs;
+    if (!clock) return budget;
+
+    const slice = clock.timeLeft / 30 + clock.increment * 0.8 + clock.delay;
+    return Math.max(100, Math.min(budget, slice));
+}
+
+// Runs searches on a background thread, one at a time in request order
+class EngineWorker {
+    constructor() {
+        this.worker = null;
+        this.pending = new Map();   // request id -> { resolve, reject }
+        this.nextId = 1;
+    }
+
+    start() {
+        const worker = new Worker(path.join(__dirname, 'engineWorker.js'));
+        this.worker = worker;
+
+        this.worker.on('message', ({ id, result, error }) => {
+            const request = this.pending.get(id);
+            if (!request) return;
+            this.pending.delete(id);
+            if (error) {
+                request.reject(new Error(error));
+            } else {
+                request.resolve(result);
+            }
+        });
+
+        // A crashed or exited worker fails its pending searches and is
+        // replaced by a new one on the next request
+        const fail = (error) => {
+            if (this.worker !== worker) return;
+            this.worker = null;
+            this.pending.forEach(request => request.reject(error));
+            this.pending.clear();
+        };
+        this.worker.on('error', (error) => {
+            console.error('Engine worker failed:', error.message);
+            fail(error);
+        });
+        this.worker.on('exit', (code) => {
+            fail(new Error(`Engine worker exited with code ${code}`));
+        });
+
+        // Never keep the process alive just for the engine
+        this.worker.unref();
+    }
+
+    request(type, fen, options) {
+        if (!this.worker) this.start();
+
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ id, type, fen, options });
+        });
+    }
+
+    findMove(fen, options) {
+        return this.request('move', fen, options);
+    }
+
+    analyze(fen, options) {
+        return this.request('analyze', fen, options);
+    }
+}
+
+module.exports = {
+    ENGINE_LEVELS,
+    EngineWorker,
+    searchBestMove,
+    analyzePosition,
+    getThinkTime,
+    evaluate
+};
@@ -0,0 +1,17 @@
+/**
+ * Engine Worker
+ * Thread entry point for EngineWorker in engine.js. Searches one position
+ * per message and posts the chosen move or evaluation back.
+ */
+
+const { parentPort } = require('worker_threads');
+const { searchBestMove, analyzePosition } = require('./engine');
+
+parentPort.on('message', ({ id, type, fen, options }) => {
+    try {
+        const result = type === 'analyze' ? analyzePosition(fen, options) : searchBestMove(fen, options);
+        parentPort.postMessage({ id, result });
+    } catch (error) {
+        parentPort.postMessage({ id, error: error.message });
+    }
+});
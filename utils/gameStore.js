@@ -0,0 +1,275 @@
+/**
+ * Game Storage
+ * Pluggable persistence for rooms, player sessions, finished games, user accounts
+ * and tournaments.
+ *
+ * Every store implements the same interface:
+ *   init()                   -> Promise<{ rooms, sessions, users, tournaments }>
+ *   saveRoom(roomId, record) -> queue a write of an active room
+ *   deleteRoom(roomId)       -> queue removal of an active room
+ *   saveSessions(sessions)   -> queue a write of the reconnect sessions
+ *   archiveGame(record)      -> keep a finished game forever
+ *   listArchivedGames()      -> archived game records, newest first
+ *   getArchivedGame(gameId)  -> one archived game record, or null
+ *   getLatestArchivedGame(roomId) -> the newest archived game of a room, or null
+ *   listPlayerGames(userId)  -> archived games an account played, newest first
+ *   saveUser(user)           -> queue a write of a user account
+ *   saveTournament(record)   -> queue a write of a tournament
+ *   flush()                  -> Promise resolved once pending writes are on disk
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Accounts seated in an archived game; one account may have played both sides
+function getAccountIds(record) {
+    const accounts = record.accounts || {};
+    return [...new Set([accounts.white, accounts.black].filter(Boolean))];
+}
+
+class MemoryGameStore {
+    constructor() {
+        this.rooms = new Map();
+        this.sessions = {};
+        this.archive = [];
+        this.archivedGames = new Map();   // game id -> record
+        this.latestGames = new Map();     // room id -> newest record
+        this.playerGames = new Map();     // user id -> records, newest first
+        this.users = new Map();
+        this.tournaments = new Map();
+    }
+
+    async init() {
+        return {
+            rooms: [...this.rooms.values()],
+            sessions: this.sessions,
+            users: [...this.users.values()],
+            tournaments: [...this.tournaments.values()]
+        };
+    }
+
+    saveRoom(roomId, record) {
+        this.rooms.set(roomId, record);
+    }
+
+    deleteRoom(roomId) {
+        this.rooms.delete(roomId);
+    }
+
+    saveSessions(sessions) {
+        this.sessions = { ...sessions };
+    }
+
+    archiveGame(record) {
+        const previous = this.archivedGames.get(record.gameId);
+        if (previous) {
+            this.archive = this.archive.filter(game => game !== previous);
+            this.unindexGame(previous);
+        }
+        this.archive.unshift(record);
+        this.indexGame(record, true);
+    }
+
+    listArchivedGames() {
+        return this.archive;
+    }
+
+    getArchivedGame(gameId) {
+        return this.archivedGames.get(gameId) || null;
+    }
+
+    getLatestArchivedGame(roomId) {
+        return this.latestGames.get(roomId) || null;
+    }
+
+    listPlayerGames(userId) {
+        return this.playerGames.get(userId) || [];
+    }
+
+    // Add a record to the lookup maps, either as the newest game or, while
+    // loading an archive sorted newest first, behind the ones already indexed
+    indexGame(record, newest) {
+        this.archivedGames.set(record.gameId, record);
+        if (newest || !this.latestGames.has(record.roomId)) {
+            this.latestGames.set(record.roomId, record);
+        }
+
+        getAccountIds(record).forEach(userId => {
+            if (!this.playerGames.has(userId)) {
+                this.playerGames.set(userId, []);
+            }
+            const games = this.playerGames.get(userId);
+            if (newest) games.unshift(record);
+            else games.push(record);
+        });
+    }
+
+    unindexGame(record) {
+        this.archivedGames.delete(record.gameId);
+        if (this.latestGames.get(record.roomId) === record) {
+            const latest = this.archive.find(game => game.roomId === record.roomId);
+            if (latest) this.latestGames.set(record.roomId, latest);
+            else this.latestGames.delete(record.roomId);
+        }
+
+        getAccountIds(record).forEach(userId => {
+            const games = this.playerGames.get(userId).filter(game => game !== record);
+            if (games.length) this.playerGames.set(userId, games);
+            else this.playerGames.delete(userId);
+        });
+    }
+
+    saveUser(user) {
+        this.users.set(user.id, user);
+    }
+
+    saveTournament(record) {
+        this.tournaments.set(record.id, record);
+    }
+
+    async flush() {}
+}
+
+// JSON files on local disk: one file per active room and per archived game.
+// Writes are batched and replaced atomically so a crash never leaves half a file.
+class FileGameStore extends MemoryGameStore {
+    constructor(directory, flushDelay = 500) {
+        super();
+        this.directory = directory;
+        this.roomsDir = path.join(directory, 'rooms');
+        this.archiveDir = path.join(directory, 'archive');
+        this.tournamentsDir = path.join(directory, 'tournaments');
+        this.sessionsFile = path.join(directory, 'sessions.json');
+        this.usersFile = path.join(directory, 'users.json');
+        this.flushDelay = flushDelay;
+        this.pending = new Map();   // file path -> data, or null to delete
+        this.flushTimer = null;
+        this.flushing = Promise.resolve();
+    }
+
+    async init() {
+        await fs.promises.mkdir(this.roomsDir, { recursive: true });
+        await fs.promises.mkdir(this.archiveDir, { recursive: true });
+        await fs.promises.mkdir(this.tournamentsDir, { recursive: true });
+
+        const rooms = await this.readDirectory(this.roomsDir);
+        this.archive = (await this.readDirectory(this.archiveDir))
+            .sort((a, b) => (b.endedAt || 0) - (a.endedAt || 0));
+        this.archive.forEach(record => this.indexGame(record, false));
+        this.sessions = (await this.readJson(this.sessionsFile)) || {};
+        const users = (await this.readJson(this.usersFile)) || [];
+        const tournaments = await this.readDirectory(this.tournamentsDir);
+
+        rooms.forEach(record => this.rooms.set(record.roomId, record));
+        users.forEach(user => this.users.set(user.id, user));
+        tournaments.forEach(record => this.tournaments.set(record.id, record));
+        return { rooms, sessions: this.sessions, users, tournaments };
+    }
+
+    saveRoom(roomId, record) {
+        super.saveRoom(roomId, record);
+        this.queue(this.roomFile(roomId), record);
+    }
+
+    deleteRoom(roomId) {
+        super.deleteRoom(roomId);
+        this.queue(this.roomFile(roomId), null);
+    }
+
+    saveSessions(sessions) {
+        super.saveSessions(sessions);
+        this.queue(this.sessionsFile, this.sessions);
+    }
+
+    archiveGame(record) {
+        super.archiveGame(record);
+        this.queue(path.join(this.archiveDir, `${record.gameId}.json`), record);
+    }
+
+    saveUser(user) {
+        super.saveUser(user);
+        this.queue(this.usersFile, [...this.users.values()]);
+    }
+
+    saveTournament(record) {
+        super.saveTournament(record);
+        this.queue(path.join(this.tournamentsDir, `${record.id}.json`), record);
+    }
+
+    roomFile(roomId) {
+        return path.join(this.roomsDir, `${roomId}.json`);
+    }
+
+    queue(file, data) {
+        this.pending.set(file, data);
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), this.flushDelay);
+        }
+    }
+
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+
+        const batch = [...this.pending.entries()];
+        this.pending.clear();
+
+        // Chain onto the previous flush so writes to the same file never overlap
+        this.flushing = this.flushing.then(() => Promise.all(batch.map(([file, data]) => {
+            const write = data === null ? this.removeFile(file) : this.writeJson(file, data);
+            return write.catch(error => console.error('Failed to persist', file, ':', error.message));
+        })));
+
+        return this.flushing;
+    }
+
+    async writeJson(file, data) {
+        const tempFile = `${file}.tmp`;
+        await fs.promises.writeFile(tempFile, JSON.stringify(data));
+        await fs.promises.rename(tempFile, file);
+    }
+
+    async removeFile(file) {
+        try {
+            await fs.promises.unlink(file);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+
+    async readJson(file) {
+        try {
+            return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Ignoring unreadable file', file, ':', error.message);
+            }
+            return null;
+        }
+    }
+
+    async readDirectory(directory) {
+        const files = (await fs.promises.readdir(directory)).filter(file => file.endsWith('.json'));
+        const records = await Promise.all(files.map(file => this.readJson(path.join(directory, file))));
+        return records.filter(Boolean);
+    }
+}
+
+function createGameStore(options = {}) {
+    const type = options.type || 'file';
+
+    if (type === 'memory') {
+        return new MemoryGameStore();
+    }
+    if (type === 'file') {
+        return new FileGameStore(options.directory || path.join(__dirname, '..', 'data'));
+    }
+
+    throw new Error(`Unknown game store type: ${type}`);
+}
+
+module.exports = {
+    createGameStore,
+    MemoryGameStore,
+    FileGameStore
+};
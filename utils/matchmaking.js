@@ -0,0 +1,82 @@
+/**
+ * Matchmaking Queue
+ * Holds players waiting for an opponent and pairs them by time control,
+ * rated/casual preference and rating range. Creating the room for a pair
+ * is left to the caller.
+ */
+
+// Players only meet others in the same pool: same clock, same rated flag
+function getPoolKey(timeControl, rated) {
+    const clock = timeControl
+        ? `${timeControl.initial}+${timeControl.increment}+${timeControl.delay}`
+        : 'unlimited';
+    return `${rated ? 'rated' : 'casual'}:${clock}`;
+}
+
+// Does `entry` accept `other` as an opponent under its own rating range?
+function acceptsRating(entry, other) {
+    if (entry.ratingRange === null || entry.rating === null || other.rating === null) {
+        return true;
+    }
+    return Math.abs(entry.rating - other.rating) <= entry.ratingRange;
+}
+
+class MatchmakingQueue {
+    constructor() {
+        this.entries = new Map();   // socket id -> queue entry, oldest first
+    }
+
+    /**
+     * Add a player to the queue, or pair them straight away.
+     * entry: { socketId, userId, rating, ratingRange, timeControl, rated }
+     * Returns the waiting opponent that was paired (and removed), or null.
+     */
+    join(entry) {
+        this.leave(entry.socketId);
+
+        const queued = { ...entry, poolKey: getPoolKey(entry.timeControl, entry.rated), joinedAt: Date.now() };
+        const opponent = this.findOpponent(queued);
+        if (opponent) {
+            this.entries.delete(opponent.socketId);
+            return opponent;
+        }
+
+        this.entries.set(queued.socketId, queued);
+        return null;
+    }
+
+    leave(socketId) {
+        return this.entries.delete(socketId);
+    }
+
+    has(socketId) {
+        return this.entries.has(socketId);
+    }
+
+    // Number of players waiting in the same pool as the given settings
+    countWaiting(timeControl, rated) {
+        const poolKey = getPoolKey(timeControl, rated);
+        let count = 0;
+        this.entries.forEach(entry => {
+            if (entry.poolKey === poolKey) count++;
+        });
+        return count;
+    }
+
+    // Longest-waiting compatible player, so nobody is starved
+    findOpponent(entry) {
+        for (const other of this.entries.values()) {
+            if (other.poolKey !== entry.poolKey) continue;
+            if (entry.userId && other.userId === entry.userId) continue;
+            if (acceptsRating(entry, other) && acceptsRating(other, entry)) {
+                return other;
+            }
+        }
+        return null;
+    }
+}
+
+module.exports = {
+    MatchmakingQueue,
+    getPoolKey
+};
@@ -0,0 +1,94 @@
+/**
+ * Opening Explorer
+ * Move statistics over every finished standard game on the server: for any
+ * position, how often it was reached, which moves were played from it and
+ * how those games ended. Built from the game archive and kept up to date as
+ * games finish.
+ */
+
+const { Chess, DEFAULT_POSITION } = require('chess.js');
+const { getPositionKey, lookupPosition } = require('./eco');
+
+const EXPLORER_MAX_PLIES = 40;  // Deeper positions are rarely shared between games
+
+function emptyResults() {
+    return { games: 0, white: 0, draws: 0, black: 0 };
+}
+
+function addResult(results, winner) {
+    results.games++;
+    if (winner === 'white') results.white++;
+    else if (winner === 'black') results.black++;
+    else results.draws++;
+}
+
+class OpeningExplorer {
+    constructor() {
+        this.positions = new Map();   // position key -> { results, moves: Map san -> { fen, results } }
+        this.indexed = new Set();     // game ids already counted
+    }
+
+    getEntry(fen) {
+        const key = getPositionKey(fen);
+        if (!this.positions.has(key)) {
+            this.positions.set(key, { results: emptyResults(), moves: new Map() });
+        }
+        return this.positions.get(key);
+    }
+
+    /**
+     * Count one archived game. Only finished standard games are used, each
+     * game once; a position repeated within a game is counted once for it.
+     */
+    addGame(record) {
+        if (!record.result || (record.variant || 'standard') !== 'standard') return false;
+        if (!record.gameId || this.indexed.has(record.gameId)) return false;
+        this.indexed.add(record.gameId);
+
+        const winner = record.result.winner;
+        const chess = new Chess(record.startFen || DEFAULT_POSITION);
+        const seen = new Set();
+
+        for (const entry of (record.moveHistory || []).slice(0, EXPLORER_MAX_PLIES)) {
+            const position = this.getEntry(chess.fen());
+            const key = getPositionKey(chess.fen());
+            let move;
+            try {
+                move = chess.move(entry.move);
+            } catch (error) {
+                break;
+            }
+
+            if (seen.has(key)) continue;
+            seen.add(key);
+            addResult(position.results, winner);
+
+            if (!position.moves.has(move.san)) {
+                position.moves.set(move.san, { fen: chess.fen(), results: emptyResults() });
+            }
+            addResult(position.moves.get(move.san).results, winner);
+        }
+        return true;
+    }
+
+    /**
+     * Statistics for one position: the games that reached it and every move
+     * played from it, most popular first, with the opening each move leads to.
+     */
+    getPosition(fen) {
+        const position = this.positions.get(getPositionKey(fen));
+        if (!position) {
+            return { ...emptyResults(), moves: [] };
+        }
+
+        const moves = [...position.moves.entries()]
+            .map(([san, move]) => ({ san, fen: move.fen, opening: lookupPosition(move.fen), ...move.results }))
+            .sort((a, b) => b.games - a.games);
+        return { ...position.results, moves };
+    }
+}
+
+module.exports = {
+    EXPLORER_MAX_PLIES,
+    OpeningExplorer
+};
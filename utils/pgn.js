@@ -0,0 +1,146 @@
+/**
+ * PGN Export & Import
+ * Builds standards-compliant PGN for rooms and archived games, and turns
+ * uploaded PGN text back into a playable position.
+ */
+
+const { VARIANTS, createGame, variantFromPgnName } = require('./variants');
+const { classifyGame } = require('./eco');
+
+const MAX_PGN_LENGTH = 100000;
+
+// PGN Termination tag for each gameEnd type
+const TERMINATION_TAGS = {
+    checkmate: 'normal',
+    stalemate: 'normal',
+    threefold: 'normal',
+    insufficient: 'normal',
+    draw: 'normal',
+    resignation: 'normal',
+    draw_agreement: 'normal',
+    fifty_move: 'normal',
+    king_of_the_hill: 'normal',
+    three_check: 'normal',
+    adjudication: 'adjudication',
+    timeout: 'time forfeit'
+};
+
+function resultToPgn(result) {
+    if (!result) return '*';
+    if (result.winner === 'white') return '1-0';
+    if (result.winner === 'black') return '0-1';
+    return '1/2-1/2';
+}
+
+function formatPgnDate(timestamp) {
+    const date = new Date(timestamp);
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getUTCFullYear()}.${pad(date.getUTCMonth() + 1)}.${pad(date.getUTCDate())}`;
+}
+
+// PGN TimeControl tag: "initial+increment" in seconds, "-" when untimed
+function formatPgnTimeControl(timeControl) {
+    if (!timeControl) return '-';
+    return `${timeControl.initial / 1000}+${timeControl.increment / 1000}`;
+}
+
+// Build the PGN for a serialized room or archived game record.
+// Headers brought in by an imported PGN are kept unless we know better.
+function buildPgn(record, { site = '?', event = 'Casual game' } = {}) {
+    const variant = record.variant || 'standard';
+    const chess = createGame(variant);
+    chess.loadPgn(record.pgn || '');
+
+    const headers = chess.getHeaders();
+    const setDefault = (key, value) => {
+        if (!headers[key] || headers[key] === '?' || headers[key] === '????.??.??') {
+            chess.setHeader(key, value);
+        }
+    };
+
+    // Tournament games name the event, round and board
+    const tournament = record.tournament;
+    setDefault('Event', tournament ? tournament.name : event);
+    setDefault('Site', site);
+    setDefault('Date', formatPgnDate(record.createdAt || Date.now()));
+    setDefault('Round', tournament ? String(tournament.round) : '-');
+    setDefault('White', (record.playerNames && record.playerNames.white) || '?');
+    setDefault('Black', (record.playerNames && record.playerNames.black) || '?');
+
+    if (record.result && record.result.type !== 'imported') {
+        chess.setHeader('Result', resultToPgn(record.result));
+        chess.setHeader('Termination', TERMINATION_TAGS[record.result.type] || 'normal');
+    } else if (!record.result) {
+        chess.setHeader('Result', '*');
+        chess.setHeader('Termination', 'unterminated');
+    }
+
+    if (record.timeControl || !headers.TimeControl) {
+        chess.setHeader('TimeControl', formatPgnTimeControl(record.timeControl));
+    }
+
+    if (tournament) {
+        chess.setHeader('Board', String(tournament.board));
+    }
+
+    if (variant !== 'standard') {
+        chess.setHeader('Variant', VARIANTS[variant].name);
+    }
+
+    // Only standard games that reached a book position have an ECO code
+    const opening = record.opening || classifyGame(record);
+    if (opening) {
+        chess.setHeader('ECO', opening.eco);
+        chess.setHeader('Opening', opening.name);
+    }
+
+    return chess.pgn({ maxWidth: 80 }) + '\n';
+}
+
+// Parse uploaded PGN text. Returns null when it is not a valid game, or a
+// game of a variant we do not play (read from the Variant tag).
+function parsePgn(text) {
+    if (!text || typeof text !== 'string' || text.length > MAX_PGN_LENGTH) {
+        return null;
+    }
+
+    const variantTag = text.match(/^\s*\[Variant\s+"([^"]*)"\]/m);
+    const variant = variantFromPgnName(variantTag && variantTag[1]);
+    if (!variant) {
+        return null;
+    }
+
+    const chess = createGame(variant);
+    try {
+        chess.loadPgn(text.trim());
+    } catch (error) {
+        return null;
+    }
+
+    const importedAt = new Date().toISOString();
+    const moveHistory = chess.history({ verbose: true }).map(move => ({
+        move: move.san,
+        color: move.color,
+        timestamp: importedAt,
+        timeSpent: null
+    }));
+
+    const headers = chess.getHeaders();
+    let result = null;
+    if (['1-0', '0-1', '1/2-1/2'].includes(headers.Result)) {
+        result = {
+            type: 'imported',
+            winner: headers.Result === '1-0' ? 'white' : headers.Result === '0-1' ? 'black' : null,
+            message: `Imported game ended ${headers.Result}`
+        };
+    }
+
+    return { chess, variant, moveHistory, headers, result };
+}
+
+module.exports = {
+    buildPgn,
+    parsePgn,
+    resultToPgn,
+    formatPgnDate
+};
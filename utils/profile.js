@@ -0,0 +1,163 @@
+/**
+ * Player Profiles
+ * Statistics and a searchable game list for one user, built from the archived
+ * game records: results by colour and time control, recent opponents and the
+ * openings they play most.
+ */
+
+const { getTimeControlCategory, describeTimeControl, describeDaysPerMove } = require('./timeControl');
+const { VARIANTS } = require('./variants');
+const { classifyGame } = require('./eco');
+
+const MAX_RECENT_OPPONENTS = 10;
+const MAX_OPENINGS = 5;
+const GAMES_PAGE_SIZE = 20;
+const MAX_SEARCH_LENGTH = 60;
+
+function getUserColor(record, userId) {
+    if (!record.accounts) return null;
+    if (record.accounts.white === userId) return 'white';
+    if (record.accounts.black === userId) return 'black';
+    return null;
+}
+
+// Finished games the user played, newest first. Abandoned games are
+// archived without a result and do not count.
+function getCompletedGames(records, userId) {
+    return records
+        .filter(record => record.result && getUserColor(record, userId))
+        .sort((a, b) => (b.endedAt || 0) - (a.endedAt || 0));
+}
+
+function getTimeControlKey(record) {
+    return record.daysPerMove ? 'correspondence' : getTimeControlCategory(record.timeControl);
+}
+
+// "C50 Italian Game" for standard games that reached a book position
+function getOpeningName(record) {
+    const opening = record.opening || classifyGame(record);
+    return opening ? `${opening.eco} ${opening.name}` : null;
+}
+
+// One archived game from the user's point of view
+function summarizeGame(record, userId) {
+    const color = getUserColor(record, userId);
+    const opponentColor = color === 'white' ? 'black' : 'white';
+    const names = record.playerNames || {};
+    const winner = record.result.winner;
+    const ratingChanges = record.result.ratingChanges;
+
+    return {
+        gameId: record.gameId,
+        roomId: record.roomId,
+        color,
+        opponent: names[opponentColor] || 'Anonymous',
+        opponentRegistered: Boolean(record.accounts[opponentColor]),
+        outcome: !winner ? 'draw' : winner === color ? 'win' : 'loss',
+        resultType: record.result.type,
+        score: record.result.score,
+        timeControl: record.daysPerMove ? describeDaysPerMove(record.daysPerMove) : describeTimeControl(record.timeControl),
+        timeControlKey: getTimeControlKey(record),
+        variant: record.variant || 'standard',
+        variantName: VARIANTS[record.variant || 'standard'].name,
+        rated: Boolean(record.rated),
+        ratingChange: ratingChanges ? ratingChanges[color] : null,
+        tournament: record.tournament ? record.tournament.name : null,
+        opening: getOpeningName(record),
+        moves: Math.ceil((record.moveHistory || []).length / 2),
+        endedAt: record.endedAt || null
+    };
+}
+
+function emptyRecord() {
+    return { games: 0, wins: 0, draws: 0, losses: 0 };
+}
+
+function addOutcome(entry, outcome) {
+    entry.games++;
+    if (outcome === 'win') entry.wins++;
+    else if (outcome === 'loss') entry.losses++;
+    else entry.draws++;
+}
+
+/**
+ * Totals, results by colour and by time control, the most recent opponents
+ * with the head-to-head score, and the most played openings. `games` are
+ * summaries from summarizeGame, newest first.
+ */
+function computeProfileStats(games) {
+    const total = emptyRecord();
+    const byColor = { white: emptyRecord(), black: emptyRecord() };
+    const byTimeControl = {};
+    const opponents = new Map();
+    const openings = new Map();
+
+    games.forEach(game => {
+        addOutcome(total, game.outcome);
+        addOutcome(byColor[game.color], game.outcome);
+
+        byTimeControl[game.timeControlKey] = byTimeControl[game.timeControlKey] || emptyRecord();
+        addOutcome(byTimeControl[game.timeControlKey], game.outcome);
+
+        // Games arrive newest first, so the first game against someone is the latest
+        if (!opponents.has(game.opponent)) {
+            opponents.set(game.opponent, { name: game.opponent, registered: game.opponentRegistered, lastPlayed: game.endedAt, ...emptyRecord() });
+        }
+        addOutcome(opponents.get(game.opponent), game.outcome);
+
+        if (game.opening) {
+            const key = `${game.color} ${game.opening}`;
+            if (!openings.has(key)) {
+                openings.set(key, { opening: game.opening, color: game.color, ...emptyRecord() });
+            }
+            addOutcome(openings.get(key), game.outcome);
+        }
+    });
+
+    return {
+        total,
+        byColor,
+        byTimeControl,
+        recentOpponents: [...opponents.values()].slice(0, MAX_RECENT_OPPONENTS),
+        openings: [...openings.values()].sort((a, b) => b.games - a.games).slice(0, MAX_OPENINGS)
+    };
+}
+
+// Case-insensitive text search over the opponent, opening, variant, time
+// control and tournament, optionally narrowed to a colour or an outcome
+function filterGames(games, { query, color, outcome } = {}) {
+    const needle = typeof query === 'string' ? query.trim().toLowerCase().slice(0, MAX_SEARCH_LENGTH) : '';
+
+    return games.filter(game => {
+        if (color && game.color !== color) return false;
+        if (outcome && game.outcome !== outcome) return false;
+        if (!needle) return true;
+
+        return [game.opponent, game.opening, game.variantName, game.timeControl, game.tournament, game.resultType]
+            .some(field => field && field.toLowerCase().includes(needle));
+    });
+}
+
+// One page of games; pages count from 1 and out-of-range pages are clamped
+function paginate(games, page, pageSize = GAMES_PAGE_SIZE) {
+    const pages = Math.max(1, Math.ceil(games.length / pageSize));
+    const current = Math.min(Math.max(1, parseInt(page, 10) || 1), pages);
+
+    return {
+        games: games.slice((current - 1) * pageSize, current * pageSize),
+        page: current,
+        pages,
+        total: games.length
+    };
+}
+
+module.exports = {
+    GAMES_PAGE_SIZE,
+    getUserColor,
+    getCompletedGames,
+    getOpeningName,
+    summarizeGame,
+    computeProfileStats,
+    filterGames,
+    paginate
+};
@@ -0,0 +1,126 @@
+/**
+ * Glicko-2 Ratings
+ * One rating per user per time-control category, updated after every rated game.
+ * See http://www.glicko.net/glicko/glicko2.pdf for the algorithm.
+ */
+
+const DEFAULT_RATING = { rating: 1500, rd: 350, volatility: 0.06 };
+const GLICKO_SCALE = 173.7178;
+const TAU = 0.5;              // Constrains volatility changes
+const CONVERGENCE = 0.000001;
+const MIN_RD = 45;
+const MAX_RD = 350;
+const MAX_HISTORY = 500;      // Rating points kept per category
+
+function g(phi) {
+    return 1 / Math.sqrt(1 + 3 * phi * phi / (Math.PI * Math.PI));
+}
+
+function expectedScore(mu, opponentMu, opponentPhi) {
+    return 1 / (1 + Math.exp(-g(opponentPhi) * (mu - opponentMu)));
+}
+
+// New volatility via the Illinois algorithm (step 5 of the paper)
+function updateVolatility(phi, sigma, delta, v) {
+    const a = Math.log(sigma * sigma);
+    const f = (x) => {
+        const ex = Math.exp(x);
+        const denominator = phi * phi + v + ex;
+        return (ex * (delta * delta - phi * phi - v - ex)) / (2 * denominator * denominator) - (x - a) / (TAU * TAU);
+    };
+
+    let A = a;
+    let B;
+    if (delta * delta > phi * phi + v) {
+        B = Math.log(delta * delta - phi * phi - v);
+    } else {
+        let k = 1;
+        while (f(a - k * TAU) < 0) k++;
+        B = a - k * TAU;
+    }
+
+    let fA = f(A);
+    let fB = f(B);
+    while (Math.abs(B - A) > CONVERGENCE) {
+        const C = A + (A - B) * fA / (fB - fA);
+        const fC = f(C);
+        if (fC * fB <= 0) {
+            A = B;
+            fA = fB;
+        } else {
+            fA /= 2;
+        }
+        B = C;
+        fB = fC;
+    }
+
+    return Math.exp(A / 2);
+}
+
+// Rate a single game for `player` against `opponent`; score is 1, 0.5 or 0
+function updateRating(player, opponent, score) {
+    const mu = (player.rating - 1500) / GLICKO_SCALE;
+    const phi = player.rd / GLICKO_SCALE;
+    const opponentMu = (opponent.rating - 1500) / GLICKO_SCALE;
+    const opponentPhi = opponent.rd / GLICKO_SCALE;
+
+    const gPhi = g(opponentPhi);
+    const expected = expectedScore(mu, opponentMu, opponentPhi);
+    const v = 1 / (gPhi * gPhi * expected * (1 - expected));
+    const delta = v * gPhi * (score - expected);
+
+    const volatility = updateVolatility(phi, player.volatility, delta, v);
+    const phiStar = Math.sqrt(phi * phi + volatility * volatility);
+    const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+    const newMu = mu + newPhi * newPhi * gPhi * (score - expected);
+
+    return {
+        rating: newMu * GLICKO_SCALE + 1500,
+        rd: Math.min(MAX_RD, Math.max(MIN_RD, newPhi * GLICKO_SCALE)),
+        volatility
+    };
+}
+
+// Both players are rated from their ratings before the game
+function rateGame(white, black, whiteScore) {
+    return {
+        white: updateRating(white, black, whiteScore),
+        black: updateRating(black, white, 1 - whiteScore)
+    };
+}
+
+function getUserRating(user, category) {
+    const entry = user.ratings && user.ratings[category];
+    return entry ? { rating: entry.rating, rd: entry.rd, volatility: entry.volatility } : { ...DEFAULT_RATING };
+}
+
+// Store a new rating on the user record and append it to the history
+function recordUserRating(user, category, rating, gameId) {
+    if (!user.ratings) user.ratings = {};
+    const entry = user.ratings[category] || { games: 0, history: [] };
+
+    entry.rating = rating.rating;
+    entry.rd = rating.rd;
+    entry.volatility = rating.volatility;
+    entry.games++;
+    entry.history.push({ rating: Math.round(rating.rating), rd: Math.round(rating.rd), gameId, at: Date.now() });
+    if (entry.history.length > MAX_HISTORY) {
+        entry.history = entry.history.slice(-MAX_HISTORY);
+    }
+
+    user.ratings[category] = entry;
+}
+
+// A rating is provisional until its deviation has settled
+function isProvisional(rating) {
+    return rating.rd > 110;
+}
+
+module.exports = {
+    DEFAULT_RATING,
+    rateGame,
+    updateRating,
+    getUserRating,
+    recordUserRating,
+    isProvisional
+};
@@ -0,0 +1,83 @@
+/**
+ * Private Room Access
+ * Signed, expiring invite links for a seat (or for spectating), download-only
+ * PGN tokens and owner keys for rooms whose creator is not logged in. Room passwords are hashed with
+ * the same scrypt helpers as account passwords.
+ */
+
+const crypto = require('crypto');
+
+const INVITE_ROLES = ['white', 'black', 'spectator'];
+const PGN_SCOPE = 'pgn';    // Lets the holder download the game, never into the room
+const TOKEN_SCOPES = [...INVITE_ROLES, PGN_SCOPE];
+const DEFAULT_INVITE_TTL_MS = 24 * 3600000;     // 1 day
+const MAX_INVITE_TTL_MS = 7 * 24 * 3600000;     // 1 week
+const MIN_ROOM_PASSWORD_LENGTH = 4;
+const MAX_ROOM_PASSWORD_LENGTH = 64;
+
+function generateOwnerKey() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+// Random per-room secret mixed into every token signature, so a room created
+// later under the same ID does not honour the tokens of an earlier one
+function generateInviteKey() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+function safeEqual(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string') return false;
+
+    const bufferA = Buffer.from(a);
+    const bufferB = Buffer.from(b);
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+function isValidRoomPassword(password) {
+    return typeof password === 'string' &&
+        password.length >= MIN_ROOM_PASSWORD_LENGTH &&
+        password.length <= MAX_ROOM_PASSWORD_LENGTH;
+}
+
+// Tokens look like "<role>.<expires>.<signature>" and are bound to one room:
+// its ID and its invite key
+class InviteSigner {
+    constructor(secret) {
+        this.secret = secret;
+    }
+
+    sign(roomId, inviteKey, role, expires) {
+        return crypto.createHmac('sha256', this.secret)
+            .update(`invite:${roomId}:${inviteKey}:${role}:${expires}`)
+            .digest('base64url');
+    }
+
+    create(roomId, inviteKey, role, ttlMs = DEFAULT_INVITE_TTL_MS) {
+        const expires = Date.now() + Math.min(ttlMs, MAX_INVITE_TTL_MS);
+        return { token: `${role}.${expires}.${this.sign(roomId, inviteKey, role, expires)}`, expiresAt: expires };
+    }
+
+    // Returns the role (or the PGN scope) the token grants in this room, or null
+    verify(token, roomId, inviteKey) {
+        if (typeof token !== 'string' || !inviteKey) return null;
+
+        const [role, expires, signature] = token.split('.');
+        if (!TOKEN_SCOPES.includes(role) || !expires || !signature) return null;
+        if (!safeEqual(signature, this.sign(roomId, inviteKey, role, expires))) return null;
+        if (Number(expires) < Date.now()) return null;
+
+        return role;
+    }
+}
+
+module.exports = {
+    InviteSigner,
+    INVITE_ROLES,
+    PGN_SCOPE,
+    DEFAULT_INVITE_TTL_MS,
+    MAX_INVITE_TTL_MS,
+    generateOwnerKey,
+    generateInviteKey,
+    isValidRoomPassword,
+    safeEqual
+};
@@ -0,0 +1,206 @@
+/**
+ * Time Control & Chess Clock
+ * Server-authoritative clocks with increment and delay support, and the
+ * days-per-move limit of correspondence games
+ */
+
+const TIME_CONTROL_PRESETS = {
+    bullet: { initial: 60000 },
+    blitz: { initial: 300000 },
+    rapid: { initial: 600000 },
+    classical: { initial: 1800000 }
+};
+
+const MAX_INITIAL_MS = 3 * 3600000; // 3 hours
+const MAX_INCREMENT_MS = 180000;    // 3 minutes
+const MAX_DELAY_MS = 60000;         // 1 minute
+const DAY_MS = 86400000;
+const MAX_DAYS_PER_MOVE = 14;
+
+// Parse the time control chosen at room creation.
+// Returns null for an untimed game and false when the options are invalid.
+function parseTimeControl(options) {
+    if (!options || !options.preset || options.preset === 'unlimited') {
+        return null;
+    }
+
+    let initial;
+    if (options.preset === 'custom') {
+        initial = Math.round(Number(options.minutes) * 60000);
+    } else if (TIME_CONTROL_PRESETS[options.preset]) {
+        initial = TIME_CONTROL_PRESETS[options.preset].initial;
+    } else {
+        return false;
+    }
+
+    const increment = Math.round(Number(options.increment || 0) * 1000);
+    const delay = Math.round(Number(options.delay || 0) * 1000);
+
+    if (!Number.isFinite(initial) || initial < 15000 || initial > MAX_INITIAL_MS) return false;
+    if (!Number.isFinite(increment) || increment < 0 || increment > MAX_INCREMENT_MS) return false;
+    if (!Number.isFinite(delay) || delay < 0 || delay > MAX_DELAY_MS) return false;
+
+    return { initial, increment, delay };
+}
+
+// Days each side has per move in a correspondence game.
+// Returns null for a live game and false when the value is invalid.
+function parseDaysPerMove(value) {
+    if (value === undefined || value === null) return null;
+
+    const days = Number(value);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS_PER_MOVE) return false;
+    return days;
+}
+
+function describeDaysPerMove(days) {
+    return `${days} day${days === 1 ? '' : 's'} per move`;
+}
+
+// Lichess-style category based on the estimated game duration (40 moves)
+function getTimeControlCategory(timeControl) {
+    if (!timeControl) return 'unlimited';
+
+    const estimated = (timeControl.initial + 40 * (timeControl.increment + timeControl.delay)) / 1000;
+    if (estimated < 180) return 'bullet';
+    if (estimated < 480) return 'blitz';
+    if (estimated < 1500) return 'rapid';
+    return 'classical';
+}
+
+// Short human readable label, e.g. "5+3 Blitz" or "10 d5 Rapid"
+function describeTimeControl(timeControl) {
+    if (!timeControl) return 'Unlimited';
+
+    const minutes = timeControl.initial / 60000;
+    let label = `${Number(minutes.toFixed(2))}+${timeControl.increment / 1000}`;
+    if (timeControl.delay) {
+        label += ` d${timeControl.delay / 1000}`;
+    }
+
+    const category = getTimeControlCategory(timeControl);
+    return `${label} ${category.charAt(0).toUpperCase() + category.slice(1)}`;
+}
+
+class ChessClock {
+    constructor({ initial, increment = 0, delay = 0 }) {
+        this.initial = initial;
+        this.increment = increment;
+        this.delay = delay;
+        this.remaining = { w: initial, b: initial };
+        this.running = null;      // 'w' | 'b' | null
+        this.turnStartedAt = null;
+        this.flagged = null;      // colour whose flag fell
+    }
+
+    // Time charged to the running side so far this turn, after the delay
+    chargedTime(now = Date.now()) {
+        if (!this.running) return 0;
+        return Math.max(0, now - this.turnStartedAt - this.delay);
+    }
+
+    timeLeft(color, now = Date.now()) {
+        if (this.running !== color) {
+            return this.remaining[color];
+        }
+        return Math.max(0, this.remaining[color] - this.chargedTime(now));
+    }
+
+    isFlagged(color, now = Date.now()) {
+        return this.flagged === color || (this.running === color && this.timeLeft(color, now) <= 0);
+    }
+
+    // Milliseconds until the running side runs out of time
+    msUntilFlag(now = Date.now()) {
+        if (!this.running) return null;
+        return Math.max(0, this.remaining[this.running] + this.delay - (now - this.turnStartedAt));
+    }
+
+    // Called after `color` completes a move. The clock only starts after
+    // White's first move, so that move is never charged.
+    press(color, now = Date.now()) {
+        if (this.flagged) return;
+
+        if (this.running === color) {
+            this.remaining[color] = this.timeLeft(color, now) + this.increment;
+        }
+
+        this.running = color === 'w' ? 'b' : 'w';
+        this.turnStartedAt = now;
+    }
+
+    // Give the turn back to `color` after a takeback. The running side keeps
+    // the time it has used; nobody gets time back.
+    switchTo(color, now = Date.now()) {
+        if (this.flagged || !this.running) return;
+
+        this.remaining[this.running] = this.timeLeft(this.running, now);
+        this.running = color;
+        this.turnStartedAt = now;
+    }
+
+    // Freeze both clocks, recording the time used by the running side
+    stop(now = Date.now()) {
+        if (this.running) {
+            this.remaining[this.running] = this.timeLeft(this.running, now);
+        }
+        this.running = null;
+        this.turnStartedAt = null;
+    }
+
+    flag(color, now = Date.now()) {
+        this.stop(now);
+        this.remaining[color] = 0;
+        this.flagged = color;
+    }
+
+    // Plain snapshot for storage. Time spent while the server is down is not
+    // charged: a restored clock resumes the current turn from the saved value,
+    // with only the part of the delay not yet used this turn.
+    serialize(now = Date.now()) {
+        return {
+            initial: this.initial,
+            increment: this.increment,
+            delay: this.delay,
+            remaining: { w: this.timeLeft('w', now), b: this.timeLeft('b', now) },
+            running: this.running,
+            delayUsed: this.running ? Math.min(this.delay, now - this.turnStartedAt) : 0,
+            flagged: this.flagged
+        };
+    }
+
+    static restore(data, now = Date.now()) {
+        const clock = new ChessClock(data);
+        clock.remaining = { ...data.remaining };
+        clock.running = data.running;
+        clock.turnStartedAt = data.running ? now - (data.delayUsed || 0) : null;
+        clock.flagged = data.flagged;
+        return clock;
+    }
+
+    toJSON(now = Date.now()) {
+        const delayLeft = this.running ? Math.max(0, this.delay - (now - this.turnStartedAt)) : 0;
+
+        return {
+            white: this.timeLeft('w', now),
+            black: this.timeLeft('b', now),
+            running: this.running === 'w' ? 'white' : this.running === 'b' ? 'black' : null,
+            delayLeft,
+            initial: this.initial,
+            increment: this.increment,
+            delay: this.delay
+        };
+    }
+}
+
+module.exports = {
+    ChessClock,
+    TIME_CONTROL_PRESETS,
+    parseTimeControl,
+    getTimeControlCategory,
+    describeTimeControl,
+    DAY_MS,
+    MAX_DAYS_PER_MOVE,
+    parseDaysPerMove,
+    describeDaysPerMove
+};
@@ -0,0 +1,286 @@
+/**
+ * Tournaments
+ * Round-robin and Swiss events over plain, serialisable tournament records:
+ * pairings for the next round, results and standings with Buchholz and
+ * Sonneborn-Berger tiebreaks. Creating rooms for the pairings is left to the caller.
+ */
+
+const TOURNAMENT_FORMATS = {
+    roundRobin: { name: 'Round robin' },
+    swiss: { name: 'Swiss' }
+};
+
+const TOURNAMENT_RESULTS = ['1-0', '0-1', '1/2-1/2'];
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 32;
+const MAX_SWISS_ROUNDS = 15;
+const BYE_POINTS = 1;
+const PAIRING_STEP_LIMIT = 100000;   // Backtracking budget before Swiss pairing allows rematches
+
+// options: { id, name, format, roundCount, timeControl, rated, variant, organizerId }
+function createTournament(options) {
+    return {
+        id: options.id,
+        name: options.name,
+        format: options.format,
+        roundCount: options.format === 'swiss' ? options.roundCount : null,
+        timeControl: options.timeControl || null,
+        rated: options.rated || false,
+        variant: options.variant || 'standard',
+        organizerId: options.organizerId,
+        status: 'registering',
+        players: [],    // { userId, username, rating }, in registration order
+        rounds: [],     // { number, pairings: [{ board, white, black, roomId, result }], bye }
+        createdAt: Date.now(),
+        startedAt: null,
+        finishedAt: null
+    };
+}
+
+// Rounds the event will have; a round robin needs one per opponent
+function getRoundCount(tournament) {
+    if (tournament.format === 'swiss') return tournament.roundCount;
+
+    const count = tournament.players.length;
+    return count % 2 === 0 ? count - 1 : count;
+}
+
+function getCurrentRound(tournament) {
+    return tournament.rounds[tournament.rounds.length - 1] || null;
+}
+
+function isRoundComplete(round) {
+    return round.pairings.every(pairing => pairing.result !== null);
+}
+
+// Points each side scores for a result string
+function getResultPoints(result) {
+    if (result === '1-0') return { white: 1, black: 0 };
+    if (result === '0-1') return { white: 0, black: 1 };
+    return { white: 0.5, black: 0.5 };
+}
+
+// Every finished game from one player's point of view: { opponent, score, color }
+function getPlayerGames(tournament) {
+    const games = new Map(tournament.players.map(player => [player.userId, []]));
+    tournament.rounds.forEach(round => {
+        round.pairings.forEach(pairing => {
+            if (pairing.result === null) return;
+
+            const points = getResultPoints(pairing.result);
+            games.get(pairing.white).push({ opponent: pairing.black, score: points.white, color: 'white' });
+            games.get(pairing.black).push({ opponent: pairing.white, score: points.black, color: 'black' });
+        });
+    });
+    return games;
+}
+
+function countByes(tournament, userId) {
+    return tournament.rounds.filter(round => round.bye === userId).length;
+}
+
+/**
+ * Standings, best first. Buchholz is the sum of the opponents' scores and
+ * Sonneborn-Berger the sum of the scores of beaten opponents plus half those
+ * of drawn ones; byes score points but add nothing to either tiebreak.
+ */
+function computeStandings(tournament) {
+    const games = getPlayerGames(tournament);
+    const points = new Map();
+    tournament.players.forEach(player => {
+        const gamePoints = games.get(player.userId).reduce((sum, game) => sum + game.score, 0);
+        points.set(player.userId, gamePoints + countByes(tournament, player.userId) * BYE_POINTS);
+    });
+
+    const standings = tournament.players.map((player, seed) => {
+        const playerGames = games.get(player.userId);
+        const tiebreak = (weight) => playerGames.reduce((sum, game) => sum + weight(game) * points.get(game.opponent), 0);
+        return {
+            userId: player.userId,
+            username: player.username,
+            rating: player.rating,
+            seed: seed + 1,
+            points: points.get(player.userId),
+            buchholz: tiebreak(() => 1),
+            sonnebornBerger: tiebreak(game => game.score),
+            played: playerGames.length,
+            wins: playerGames.filter(game => game.score === 1).length,
+            draws: playerGames.filter(game => game.score === 0.5).length,
+            losses: playerGames.filter(game => game.score === 0).length
+        };
+    });
+
+    standings.sort((a, b) => b.points - a.points
+        || b.buchholz - a.buchholz
+        || b.sonnebornBerger - a.sonnebornBerger
+        || b.rating - a.rating
+        || a.seed - b.seed);
+    standings.forEach((entry, index) => {
+        entry.rank = index + 1;
+    });
+    return standings;
+}
+
+/**
+ * Pairings of one round robin round by the circle method: the first player
+ * stays put while everyone else rotates one place per round. With an odd
+ * number of players the empty place is the bye. Returns [[white, black]]
+ * with null standing in for the bye.
+ */
+function getRoundRobinPairs(playerIds, roundIndex) {
+    const ids = playerIds.length % 2 === 0 ? [...playerIds] : [...playerIds, null];
+    const size = ids.length;
+    const rotating = ids.slice(1);
+    const shift = roundIndex % rotating.length;
+    const order = [ids[0], ...rotating.slice(rotating.length - shift), ...rotating.slice(0, rotating.length - shift)];
+
+    const pairs = [];
+    for (let board = 0; board < size / 2; board++) {
+        const first = order[board];
+        const second = order[size - 1 - board];
+        // Moving one place each round flips a player's colour
+        const firstIsWhite = board === 0 ? roundIndex % 2 === 0 : board % 2 === 0;
+        pairs.push(firstIsWhite ? [first, second] : [second, first]);
+    }
+    return pairs;
+}
+
+// Colour history used to balance Swiss colours: whites minus blacks and the last colour
+function getColorHistory(games) {
+    const balance = games.reduce((sum, game) => sum + (game.color === 'white' ? 1 : -1), 0);
+    const last = games.length > 0 ? games[games.length - 1].color : null;
+    return { balance, last };
+}
+
+// Order a Swiss pair: fewer whites so far gets white, then alternate, then
+// the higher-ranked player takes the colour the board number gives them
+function orderSwissPair(higher, lower, games, board) {
+    const a = getColorHistory(games.get(higher));
+    const b = getColorHistory(games.get(lower));
+
+    if (a.balance !== b.balance) {
+        return a.balance < b.balance ? [higher, lower] : [lower, higher];
+    }
+    if (a.last && a.last !== b.last) {
+        return a.last === 'black' ? [higher, lower] : [lower, higher];
+    }
+    return board % 2 === 0 ? [higher, lower] : [lower, higher];
+}
+
+/**
+ * Pair a ranked list top-down the Dutch way: within a score group the top
+ * half meets the bottom half (1 v 4, 2 v 5, 3 v 6), falling back to other
+ * opponents and lower groups, and backtracking when a choice leaves the rest
+ * unpairable. Nobody meets the same opponent twice. Returns null when no such
+ * pairing exists within the step budget.
+ */
+function pairWithoutRematches(ranked, pointsOf, hasPlayed) {
+    let steps = 0;
+
+    const pairFrom = (remaining) => {
+        if (remaining.length === 0) return [];
+        if (++steps > PAIRING_STEP_LIMIT) return null;
+
+        const [first, ...others] = remaining;
+        const group = others.filter(userId => pointsOf(userId) === pointsOf(first));
+        const counterpart = Math.max(Math.floor((group.length + 1) / 2) - 1, 0);
+        const candidates = [
+            ...group.slice(counterpart),
+            ...group.slice(0, counterpart),
+            ...others.filter(userId => !group.includes(userId))
+        ];
+
+        for (const opponent of candidates) {
+            if (hasPlayed(first, opponent)) continue;
+
+            const rest = pairFrom(others.filter(userId => userId !== opponent));
+            if (rest) return [[first, opponent], ...rest];
+        }
+        return null;
+    };
+
+    return pairFrom(ranked);
+}
+
+// Swiss pairings for the next round, plus the player who gets the bye
+function getSwissPairs(tournament) {
+    const games = getPlayerGames(tournament);
+    const standings = computeStandings(tournament);
+    const points = new Map(standings.map(entry => [entry.userId, entry.points]));
+    let ranked = standings.map(entry => entry.userId);
+
+    // The bye goes to the lowest-ranked player who has not had one yet
+    let bye = null;
+    if (ranked.length % 2 === 1) {
+        const leastByes = Math.min(...ranked.map(userId => countByes(tournament, userId)));
+        bye = [...ranked].reverse().find(userId => countByes(tournament, userId) === leastByes);
+        ranked = ranked.filter(userId => userId !== bye);
+    }
+
+    const hasPlayed = (a, b) => games.get(a).some(game => game.opponent === b);
+    const pairs = pairWithoutRematches(ranked, userId => points.get(userId), hasPlayed) || ranked.reduce((result, userId, index) => {
+        if (index % 2 === 0) result.push([userId, ranked[index + 1]]);
+        return result;
+    }, []);
+
+    return {
+        pairs: pairs.map(([higher, lower], board) => orderSwissPair(higher, lower, games, board)),
+        bye
+    };
+}
+
+/**
+ * Add the next round to the tournament and return it. Pairings start without
+ * a room or a result; the bye, if any, scores BYE_POINTS straight away.
+ */
+function pairNextRound(tournament) {
+    const roundIndex = tournament.rounds.length;
+    let pairs;
+    let bye = null;
+
+    if (tournament.format === 'swiss') {
+        ({ pairs, bye } = getSwissPairs(tournament));
+    } else {
+        const playerIds = tournament.players.map(player => player.userId);
+        pairs = getRoundRobinPairs(playerIds, roundIndex).filter(([white, black]) => {
+            if (white !== null && black !== null) return true;
+            bye = white !== null ? white : black;
+            return false;
+        });
+    }
+
+    const round = {
+        number: roundIndex + 1,
+        pairings: pairs.map(([white, black], index) => ({ board: index + 1, white, black, roomId: null, result: null })),
+        bye
+    };
+    tournament.rounds.push(round);
+    return round;
+}
+
+// Store a result for a board of a round; false when there is no such pairing
+function recordResult(tournament, roundNumber, board, result) {
+    const round = tournament.rounds.find(entry => entry.number === roundNumber);
+    const pairing = round && round.pairings.find(entry => entry.board === board);
+    if (!pairing || !TOURNAMENT_RESULTS.includes(result)) return false;
+
+    pairing.result = result;
+    return true;
+}
+
+module.exports = {
+    TOURNAMENT_FORMATS,
+    TOURNAMENT_RESULTS,
+    MIN_PLAYERS,
+    MAX_PLAYERS,
+    MAX_SWISS_ROUNDS,
+    BYE_POINTS,
+    createTournament,
+    getRoundCount,
+    getCurrentRound,
+    isRoundComplete,
+    computeStandings,
+    getRoundRobinPairs,
+    pairNextRound,
+    recordResult
+};
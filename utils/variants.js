@@ -0,0 +1,105 @@
+/**
+ * Chess Variants
+ * Rooms play standard chess unless they are created as a variant. Chess960
+ * shuffles the back ranks and changes castling; King of the Hill and
+ * Three-Check keep the normal rules and add one more way to win.
+ */
+
+const { Chess, DEFAULT_POSITION } = require('chess.js');
+const { Chess960 } = require('./chess960');
+
+// `name` is also the value of the PGN Variant tag
+const VARIANTS = {
+    standard: { name: 'Standard' },
+    chess960: { name: 'Chess960' },
+    kingOfTheHill: { name: 'King of the Hill' },
+    threeCheck: { name: 'Three-check' }
+};
+
+const HILL_SQUARES = ['d4', 'e4', 'd5', 'e5'];
+const CHECKS_TO_WIN = 3;
+
+function isValidVariant(variant) {
+    return Object.prototype.hasOwnProperty.call(VARIANTS, variant);
+}
+
+// Variant key for a PGN Variant tag, null when we do not play it
+function variantFromPgnName(name) {
+    if (!name) return 'standard';
+    const key = Object.keys(VARIANTS).find(variant => VARIANTS[variant].name.toLowerCase() === name.toLowerCase());
+    return key || null;
+}
+
+// A random Chess960 back rank such as "RNBQKBNR": bishops on opposite
+// colours and the king somewhere between the two rooks
+function generate960BackRank(random = Math.random) {
+    const rank = new Array(8).fill(null);
+    const pick = (files) => files[Math.floor(random() * files.length)];
+    const emptyFiles = () => rank.map((piece, file) => (piece ? null : file)).filter(file => file !== null);
+
+    rank[pick([0, 2, 4, 6])] = 'B';
+    rank[pick([1, 3, 5, 7])] = 'B';
+    rank[pick(emptyFiles())] = 'Q';
+    rank[pick(emptyFiles())] = 'N';
+    rank[pick(emptyFiles())] = 'N';
+
+    const [left, middle, right] = emptyFiles();
+    rank[left] = 'R';
+    rank[middle] = 'K';
+    rank[right] = 'R';
+    return rank.join('');
+}
+
+function getVariantStartFen(variant, random) {
+    if (variant !== 'chess960') return DEFAULT_POSITION;
+
+    const backRank = generate960BackRank(random);
+    return `${backRank.toLowerCase()}/pppppppp/8/8/8/8/PPPPPPPP/${backRank} w KQkq - 0 1`;
+}
+
+// Game object for a variant; Chess960 needs its own castling rules
+function createGame(variant, fen) {
+    return variant === 'chess960' ? new Chess960(fen) : new Chess(fen);
+}
+
+// Checks given so far by each side, counted from the SAN move history
+function countChecks(moveHistory) {
+    const checks = { white: 0, black: 0 };
+    moveHistory.forEach(entry => {
+        if (/[+#]$/.test(entry.move)) {
+            checks[entry.color === 'w' ? 'white' : 'black']++;
+        }
+    });
+    return checks;
+}
+
+// Variant win reached by the last move, checked before the normal endings
+function getVariantOutcome(variant, chess, moveHistory) {
+    const last = moveHistory[moveHistory.length - 1];
+    if (!last) return null;
+
+    const winner = last.color === 'w' ? 'white' : 'black';
+    if (variant === 'kingOfTheHill') {
+        const [king] = chess.findPiece({ type: 'k', color: last.color });
+        if (HILL_SQUARES.includes(king)) {
+            return { type: 'king_of_the_hill', winner };
+        }
+    }
+    if (variant === 'threeCheck' && countChecks(moveHistory)[winner] >= CHECKS_TO_WIN) {
+        return { type: 'three_check', winner };
+    }
+    return null;
+}
+
+module.exports = {
+    VARIANTS,
+    HILL_SQUARES,
+    CHECKS_TO_WIN,
+    isValidVariant,
+    variantFromPgnName,
+    generate960BackRank,
+    getVariantStartFen,
+    createGame,
+    countChecks,
+    getVariantOutcome
+};